@@ -1,171 +1,287 @@
 /**
  * AI Client - Analysis functions for note processing
- * Supports Ollama (qwen2.5-coder) and Claude Sonnet fallback
+ * Models run on the providers in ai-providers.js and fall back along ai.fallbackChain, then to
+ * the offline analyzer. Replies are validated and repaired (analysis-schema.js), cached
+ * (analysis-cache.js) and metered (usage.js); notes too long for a model are summarized first
  */
 
 const { sanitizeUnicode } = require('./vault-client');
+const { createVaultClient, isLiveNote } = require('./vault-backend');
+const { resolveModel, getProvider, isLocalProvider } = require('./ai-providers');
+const { parseAnalysisResponse, buildRepairPrompt } = require('./analysis-schema');
+const { buildAnalysisPrompt, getPromptHints } = require('./prompts');
+const { getPromptExamples } = require('./examples');
+const { analysisCacheKey, getCachedAnalysis, storeAnalysis } = require('./analysis-cache');
+const { estimateCost, recordUsage, getUsageSummary } = require('./usage');
+const { estimateTokens, contextBudget, condenseNote } = require('./long-notes');
+const { loadVocabulary, mapTags } = require('./tag-vocabulary');
+const loadConfig = require('./config');
 
 /**
  * Analyze a note with AI and provide suggestions
  * @param {Object} note - Note object with path, content, frontmatter
  * @param {Object} vaultStructure - Vault structure for context
- * @param {string} model - Model to use (default: qwen2.5-coder:7b)
- * @returns {Promise<Object>} Analysis results with suggestions
+ * @param {string} model - Model to use, optionally "provider/model" (default: qwen2.5-coder:7b)
+ * @param {Object} options - Analysis options
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {boolean} options.useCache - Reuse a cached analysis (default: true; a fresh one is stored either way)
+ * @param {EmbeddingIndex} options.relatedIndex - Replace the model's related guesses with the most
+ *   similar existing notes (default: none, the model's guesses that exist in the vault are kept)
+ * @param {VaultBackend} options.vaultClient - Vault the guesses are looked up in (default: createVaultClient(config))
+ * @returns {Promise<Object>} Analysis results with suggestions (tags mapped onto the tag vocabulary,
+ *   unknownTags listing those it doesn't know), plus cached (true on a cache hit),
+ *   validationErrors ([{ model, errors }] for replies rejected on the way) and usage (one entry per
+ *   model call: model, provider, inputTokens, outputTokens, latencyMs, costUsd); the last two are
+ *   also set on the thrown error
  */
-async function analyzeNote(note, vaultStructure, model = 'qwen2.5-coder:7b') {
-  const prompt = buildPrompt(note, vaultStructure);
+async function analyzeNote(note, vaultStructure, model = 'qwen2.5-coder:7b', options = {}) {
+  const config = options.config || loadConfig();
+  const vocabulary = loadVocabulary(config);
+  const { prompt, version, hints, examples } = await preparePrompt(note, vaultStructure, { config, relatedIndex: options.relatedIndex });
   
-  try {
-    if (model.includes('anthropic') || model.includes('claude')) {
-      return await analyzeWithClaude(prompt, model);
-    } else {
-      return await analyzeWithOllama(prompt, model);
+  const cacheKey = modelSpec => analysisCacheKey({ body: note.body || note.content || '', promptVersion: version, model: modelSpec });
+  if (options.useCache !== false) {
+    const cached = await getCachedAnalysis(cacheKey(model), config);
+    if (cached) {
+      console.log(`   💾 Using cached analysis (${model})`);
+      const analysis = await addRelated({ ...cached, cached: true, validationErrors: [], usage: [] }, note, options.relatedIndex, options.vaultClient || createVaultClient(config));
+      return applyVocabulary(analysis, vocabulary);
     }
-  } catch (err) {
-    console.error(`AI analysis failed with ${model}:`, err.message);
-    
-    // Fallback to Claude if Ollama fails
-    if (!model.includes('claude')) {
-      console.log('Falling back to Claude Sonnet...');
-      return await analyzeWithClaude(prompt, 'anthropic/claude-sonnet-4-5');
+  }
+  
+  // The mock is deterministic (tests) - it never falls back to a real model
+  const scripted = providerType(model, config) === 'mock';
+  let chain = scripted
+    ? [model]
+    : [model, ...config.ai.fallbackChain.filter(fallback => fallback !== model)];
+  
+  // When no model can be reached, a heuristic analysis still beats a failed note
+  if (!scripted && config.ai.offlineFallback && !chain.some(modelSpec => providerType(modelSpec, config) === 'offline')) {
+    chain.push('offline');
+  }
+  
+  const validationErrors = [];
+  const usage = [];
+  
+  // Over the monthly budget, paid providers are skipped
+  const { month } = await getUsageSummary(config);
+  if (month.exceeded) {
+    chain = localModels(chain, config);
+    if (chain.length === 0) {
+      const err = new Error(`Monthly AI budget of $${month.budgetUsd} reached and no local model is configured`);
+      Object.assign(err, { validationErrors, usage });
+      throw err;
     }
+    console.log(`   💰 Monthly AI budget of $${month.budgetUsd} reached - using local models only (${chain.join(', ')})`);
+  }
+  
+  let lastError;
+  for (const [index, modelSpec] of chain.entries()) {
+    const { provider: providerName, model: modelName } = resolveModel(modelSpec, config);
     
-    throw err;
+    try {
+      const provider = getProvider(providerName, config);
+      const context = { note, vaultStructure, config };
+      const generate = request => callModel(provider, { model: modelName, context, ...request }, modelSpec, usage, config);
+      
+      // Past the model's context window: summarize the sections, then analyze the summaries
+      let analysisPrompt = prompt;
+      const budget = contextBudget(config.ai.providers[providerName], modelName);
+      const { reserveTokens } = config.ai.longNotes;
+      if (estimateTokens(prompt) + reserveTokens > budget) {
+        console.log(`   📚 ${note.path} is too long for ${modelSpec} (~${estimateTokens(prompt)} of ${budget} tokens)`);
+        const promptFor = body => buildAnalysisPrompt({ ...note, body }, vaultStructure, config, { hints, examples }).prompt;
+        const body = await condenseNote(note, {
+          budget,
+          config,
+          fits: condensed => estimateTokens(promptFor(condensed)) + reserveTokens <= budget,
+          summarize: async (summaryPrompt, section) => {
+            const sectionNote = { ...note, body: section.text, section: section.part };
+            const reply = await generate({ prompt: summaryPrompt, context: { ...context, note: sectionNote, purpose: 'summary' } });
+            return reply.text;
+          }
+        });
+        analysisPrompt = promptFor(body);
+      }
+      
+      let { text } = await generate({ prompt: analysisPrompt });
+      let parsed = parseAnalysisResponse(text);
+      
+      // Show the model what was wrong with its reply and let it try again
+      for (let attempt = 0; !parsed.valid && attempt < config.ai.repairAttempts; attempt++) {
+        validationErrors.push({ model: modelSpec, errors: parsed.errors });
+        console.log(`   🔧 Invalid reply from ${modelSpec} (${parsed.errors.join('; ')}) - asking for a repair`);
+        ({ text } = await generate({ prompt: buildRepairPrompt(text, parsed.errors) }));
+        parsed = parseAnalysisResponse(text);
+      }
+      
+      if (!parsed.valid) {
+        validationErrors.push({ model: modelSpec, errors: parsed.errors });
+        throw new Error(`Invalid analysis from ${modelSpec}: ${parsed.errors.join('; ')}`);
+      }
+      
+      const analysis = sanitizeAnalysisResult(parsed.value, config);
+      // A heuristic stand-in must not be served from the cache once the model is back, and a
+      // fallback's answer is kept under its own model so the requested one is asked next time
+      if (provider.type !== 'offline') {
+        await storeAnalysis(cacheKey(modelSpec), analysis, config, { path: note.path, model: modelSpec });
+      }
+      return applyVocabulary(await addRelated({ ...analysis, cached: false, validationErrors, usage }, note, options.relatedIndex, options.vaultClient || createVaultClient(config)), vocabulary);
+    } catch (err) {
+      console.error(`AI analysis failed with ${modelSpec}:`, err.message);
+      lastError = err;
+      
+      if (index < chain.length - 1) {
+        console.log(`Falling back to ${chain[index + 1]}...`);
+      }
+    }
   }
+  
+  Object.assign(lastError, { validationErrors, usage });
+  throw lastError;
 }
 
 /**
- * Build analysis prompt with note and vault context
- * @param {Object} note - Note object
- * @param {Object} vaultStructure - Vault structure
- * @returns {string} Formatted prompt
+ * Set related notes from the embedding index, ranked by similarity
+ * Without an index, or if the search fails, only the model's guesses that exist in the vault are kept
+ * @param {Object} analysis - Analysis result
+ * @param {Object} note - Note object with path and body
+ * @param {EmbeddingIndex|null} relatedIndex - Index of vault notes
+ * @param {VaultBackend} vaultClient - Vault client (for guesses without an index)
+ * @returns {Promise<Object>} Analysis with related paths
  */
-function buildPrompt(note, vaultStructure) {
-  // Extract folder names and tag names for context
-  const folders = vaultStructure.folders
-    ? vaultStructure.folders.map(f => f.path).slice(0, 20).join(', ')
-    : 'No folders';
-  
-  const tags = vaultStructure.tags
-    ? Object.keys(vaultStructure.tags).slice(0, 30).join(', ')
-    : 'No tags';
+async function addRelated(analysis, note, relatedIndex, vaultClient) {
+  if (!relatedIndex) {
+    const guesses = analysis.related || [];
+    const found = guesses.length > 0 ? await vaultClient.readNotes(guesses) : [];
+    return { ...analysis, related: guesses.filter((notePath, index) => isLiveNote(found[index])) };
+  }
   
-  return `You are analyzing a note from an Obsidian vault to suggest how it should be organized.
-
-**Note Path:** ${note.path}
-
-**Note Content:**
-${note.body || note.content}
-
-**Vault Context:**
-- **Existing Folders:** ${folders}
-- **Existing Tags:** ${tags}
-
-**Task:**
-Analyze this note and suggest:
-1. **folder** - Best folder to file this note (from existing folders, or suggest new one)
-2. **tags** - Relevant tags (mix of existing and new if needed)
-3. **related** - Paths of related notes that might exist (educated guess based on content)
-4. **summary** - One-line summary of the note
-5. **confidence** - Your confidence level (high/medium/low)
-
-**Output Format:**
-Reply with ONLY valid JSON, no other text:
-{
-  "folder": "folder/path",
-  "tags": ["tag1", "tag2"],
-  "related": ["path/to/note1.md", "path/to/note2.md"],
-  "summary": "Brief summary",
-  "confidence": "high"
+  try {
+    const matches = await relatedIndex.findRelated(note);
+    return { ...analysis, related: matches.map(match => match.path) };
+  } catch (err) {
+    console.warn(`⚠️  Related-note search failed (${err.message}) - keeping suggestions that exist`);
+    return { ...analysis, related: (analysis.related || []).filter(notePath => relatedIndex.has(notePath)) };
+  }
 }
 
-JSON output:`;
+/**
+ * Map suggested tags onto the tag vocabulary
+ * Applied after the cache, so vocabulary edits take effect without fresh analyses
+ * @param {Object} analysis - Analysis result
+ * @param {Object|null} vocabulary - From loadVocabulary
+ * @returns {Object} Analysis with canonical tags and unknownTags
+ */
+function applyVocabulary(analysis, vocabulary) {
+  const { tags, unknown, mapped } = mapTags(analysis.tags, vocabulary);
+  for (const { from, to } of mapped) {
+    console.log(`   🏷️  ${from} → ${to}`);
+  }
+  return { ...analysis, tags, unknownTags: unknown };
 }
 
 /**
- * Analyze note with Ollama
- * @param {string} prompt - Analysis prompt
- * @param {string} model - Ollama model name
- * @returns {Promise<Object>} Analysis result
+ * Call a provider, recording tokens, latency and estimated cost (failed calls too)
+ * @param {Object} provider - Provider from getProvider
+ * @param {Object} request - { prompt, model, context }
+ * @param {string} modelSpec - Model as requested (for reporting)
+ * @param {Array<Object>} usage - Calls made so far for this note (appended to)
+ * @param {Object} config - Configuration
+ * @returns {Promise<Object>} Provider reply { text, usage }
  */
-async function analyzeWithOllama(prompt, model) {
-  const config = require('./config')();
-  const fetch = (await import('node-fetch')).default;
+async function callModel(provider, request, modelSpec, usage, config) {
+  const call = { model: modelSpec, provider: provider.name, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+  const started = Date.now();
   
-  const response = await fetch(`${config.processor.ollamaHost}/api/generate`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.3,
-        num_predict: 500
-      }
-    })
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  const text = data.response;
-  
-  // Parse JSON from response
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
-    throw new Error('No JSON found in Ollama response');
+  try {
+    const reply = await provider.generate(request);
+    call.inputTokens = (reply.usage && reply.usage.inputTokens) || 0;
+    call.outputTokens = (reply.usage && reply.usage.outputTokens) || 0;
+    call.costUsd = estimateCost(config.ai.providers[provider.name], request.model, call);
+    return reply;
+  } catch (err) {
+    call.failed = true;
+    throw err;
+  } finally {
+    call.latencyMs = Date.now() - started;
+    usage.push(call);
+    await recordUsage(call, config);
   }
-  
-  const result = JSON.parse(jsonMatch[0]);
-  
-  // Sanitize all string fields to prevent Unicode issues
-  return sanitizeAnalysisResult(result);
 }
 
 /**
- * Analyze note with Claude via OpenClaw message API
- * @param {string} prompt - Analysis prompt
- * @param {string} model - Claude model name
- * @returns {Promise<Object>} Analysis result
+ * Keep the local models of a chain
+ * Adds processor.defaultModel in front when it is local and the chain has no local
+ * model besides the offline analyzer
+ * @param {Array<string>} chain - Models in fallback order
+ * @param {Object} config - Configuration
+ * @returns {Array<string>} Models on local providers
  */
-async function analyzeWithClaude(prompt, model) {
-  const Anthropic = require('@anthropic-ai/sdk');
-  const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY || require('os').homedir() + '/.config/openclaw/anthropic-key.txt'
-  });
-  
-  const message = await anthropic.messages.create({
-    model: model.replace('anthropic/', ''),
-    max_tokens: 1024,
-    temperature: 0.3,
-    messages: [
-      { role: 'user', content: prompt }
-    ]
-  });
+function localModels(chain, config) {
+  const isLocal = modelSpec => isLocalProvider(resolveModel(modelSpec, config).provider, config);
+  const local = chain.filter(isLocal);
+  const defaultModel = config.processor.defaultModel;
   
-  const text = message.content[0].text;
-  
-  // Parse JSON from response
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
-    throw new Error('No JSON found in Claude response');
+  if (local.every(modelSpec => providerType(modelSpec, config) === 'offline') && isLocal(defaultModel) && !local.includes(defaultModel)) {
+    local.unshift(defaultModel);
   }
-  
-  const result = JSON.parse(jsonMatch[0]);
-  
-  // Sanitize all string fields
-  return sanitizeAnalysisResult(result);
+  return local;
+}
+
+/**
+ * @param {string} modelSpec - Model, optionally "provider/model"
+ * @param {Object} config - Configuration
+ * @returns {string|null} Type of the provider serving it (null if it isn't configured)
+ */
+function providerType(modelSpec, config) {
+  const { provider } = resolveModel(modelSpec, config);
+  const providerConfig = config.ai.providers[provider];
+  return providerConfig ? providerConfig.type || provider : null;
 }
 
 /**
- * Sanitize analysis result to remove problematic Unicode
+ * Build the analysis prompt for a note from its template (see prompts.js)
+ * @param {Object} note - Note object
+ * @param {Object} vaultStructure - Vault structure
+ * @param {Object} options - Prompt options
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {Array<string>} options.hints - Learned hints to include
+ * @returns {string} Formatted prompt
+ */
+function buildPrompt(note, vaultStructure, options = {}) {
+  const config = options.config || loadConfig();
+  return buildAnalysisPrompt(note, vaultStructure, config, { hints: options.hints }).prompt;
+}
+
+/**
+ * Render the exact prompt analyzeNote would send, with learned hints and examples looked up
+ * @param {Object} note - Note object with path, body, frontmatter
+ * @param {Object} vaultStructure - Vault structure
+ * @param {Object} options - Prompt options
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {EmbeddingIndex} options.relatedIndex - Index for picking similar examples (default: keywords only)
+ * @returns {Promise<Object>} { template, file, version, prompt, hints, examples }
+ */
+async function preparePrompt(note, vaultStructure, options = {}) {
+  const config = options.config || loadConfig();
+  const hints = await getPromptHints(note, config);
+  const examples = await getPromptExamples(note, config, options.relatedIndex);
+  return { ...buildAnalysisPrompt(note, vaultStructure, config, { hints, examples }), hints, examples };
+}
+
+/**
+ * Sanitize analysis result to remove non-ASCII characters
+ * Only applies when couchdb.sanitizeUnicode is enabled in config
  * @param {Object} result - Analysis result
- * @returns {Object} Sanitized result
+ * @param {Object} config - Configuration
+ * @returns {Object} Sanitized result (or the original result)
  */
-function sanitizeAnalysisResult(result) {
+function sanitizeAnalysisResult(result, config) {
+  if (!config.couchdb.sanitizeUnicode) {
+    return result;
+  }
+  
   const sanitized = {};
   
   for (const [key, value] of Object.entries(result)) {
@@ -186,5 +302,6 @@ function sanitizeAnalysisResult(result) {
 module.exports = {
   analyzeNote,
   buildPrompt,
+  preparePrompt,
   sanitizeUnicode
 };
@@ -0,0 +1,251 @@
+/**
+ * AI Providers - Registry of text-generation backends
+ * Ollama, Anthropic, OpenAI-compatible endpoints (llama.cpp, LM Studio, vLLM...), the
+ * offline heuristic analyzer and a mock, each configured under ai.providers in config.json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Provider factories by type: (name, providerConfig) => { name, type, generate }
+// generate() resolves to { text, usage: { inputTokens, outputTokens } }
+const factories = new Map();
+
+// Types that run on your own machine unless a provider sets "local" itself
+const LOCAL_TYPES = new Set(['ollama', 'offline', 'mock']);
+
+/**
+ * Register a provider type
+ * @param {string} type - Type name used in ai.providers.<name>.type
+ * @param {Function} factory - (name, providerConfig) => provider with generate({ prompt, model, context })
+ *   resolving to { text, usage }
+ */
+function registerProvider(type, factory) {
+  factories.set(type, factory);
+}
+
+/**
+ * Work out which provider and model a model string refers to
+ * "provider/model" picks a configured provider; "scripted" is the mock; bare names
+ * go to ai.defaultProvider (or Anthropic if they mention Claude, as before)
+ * @param {string} modelSpec - Model string (e.g. "ollama/qwen2.5-coder:7b", "anthropic/claude-sonnet-4-5")
+ * @param {Object} config - Full configuration
+ * @returns {Object} { provider, model } with the provider's name
+ */
+function resolveModel(modelSpec, config) {
+  const providers = config.ai.providers;
+  const slash = modelSpec.indexOf('/');
+
+  if (slash !== -1 && providers[modelSpec.slice(0, slash)]) {
+    return { provider: modelSpec.slice(0, slash), model: modelSpec.slice(slash + 1) };
+  }
+  if (modelSpec === 'scripted' || providers[modelSpec]) {
+    const provider = modelSpec === 'scripted' ? 'mock' : modelSpec;
+    return { provider, model: providers[provider].model || modelSpec };
+  }
+  if (/claude/i.test(modelSpec) && providers.anthropic) {
+    return { provider: 'anthropic', model: modelSpec };
+  }
+  return { provider: config.ai.defaultProvider, model: modelSpec };
+}
+
+/**
+ * Create the configured provider with the given name
+ * @param {string} name - Key in ai.providers
+ * @param {Object} config - Full configuration
+ * @returns {Object} Provider with name, type and generate({ prompt, model, context })
+ */
+function getProvider(name, config) {
+  const providerConfig = config.ai.providers[name];
+  if (!providerConfig) {
+    throw new Error(`Unknown AI provider: ${name} (configure it under ai.providers)`);
+  }
+
+  const type = providerConfig.type || name;
+  const factory = factories.get(type);
+  if (!factory) {
+    throw new Error(`Unknown AI provider type "${type}" for ${name}`);
+  }
+  return factory(name, providerConfig);
+}
+
+/**
+ * Whether a configured provider runs locally (no per-token cost, allowed over budget)
+ * @param {string} name - Key in ai.providers
+ * @param {Object} config - Full configuration
+ * @returns {boolean} providers.<name>.local, else true for Ollama, the offline analyzer and the mock
+ */
+function isLocalProvider(name, config) {
+  const providerConfig = config.ai.providers[name] || {};
+  if (typeof providerConfig.local === 'boolean') {
+    return providerConfig.local;
+  }
+  return LOCAL_TYPES.has(providerConfig.type || name);
+}
+
+// ===== Built-in providers =====
+
+registerProvider('ollama', (name, providerConfig) => ({
+  name,
+  type: 'ollama',
+  async generate({ prompt, model }) {
+    const data = await postJson(`${trimSlash(providerConfig.host)}/api/generate`, {
+      model,
+      prompt,
+      stream: false,
+      options: providerConfig.options || {}
+    }, providerConfig, 'Ollama');
+
+    return {
+      text: data.response || '',
+      usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+    };
+  }
+}));
+
+registerProvider('openai', (name, providerConfig) => ({
+  name,
+  type: 'openai',
+  async generate({ prompt, model }) {
+    const headers = providerConfig.apiKey ? { Authorization: `Bearer ${providerConfig.apiKey}` } : {};
+    const data = await postJson(`${trimSlash(providerConfig.host)}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      ...(providerConfig.options || {})
+    }, providerConfig, 'OpenAI-compatible', headers);
+
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('OpenAI-compatible API returned no choices');
+    }
+    const usage = data.usage || {};
+    return {
+      text: choice.message.content || '',
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+    };
+  }
+}));
+
+registerProvider('anthropic', (name, providerConfig) => ({
+  name,
+  type: 'anthropic',
+  async generate({ prompt, model }) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    const anthropic = new Anthropic({
+      apiKey: readAnthropicKey(providerConfig),
+      timeout: providerConfig.timeoutMs,
+      ...(providerConfig.host && { baseURL: providerConfig.host })
+    });
+
+    const message = await anthropic.messages.create({
+      model,
+      max_tokens: 1024,
+      ...(providerConfig.options || {}),
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const usage = message.usage || {};
+    return {
+      text: message.content.map(block => block.text || '').join(''),
+      usage: { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 }
+    };
+  }
+}));
+
+// Rule-and-statistics analysis without a model (offline-analyzer.js)
+registerProvider('offline', (name) => ({
+  name,
+  type: 'offline',
+  async generate({ context = {} }) {
+    const config = context.config || require('./config')();
+    const analysis = await require('./offline-analyzer').analyzeOffline(context.note, context.vaultStructure || {}, config);
+    return { text: JSON.stringify(analysis), usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+}));
+
+// Deterministic stand-in (scripted-ai.js) so processing can run offline and in tests
+registerProvider('mock', (name) => ({
+  name,
+  type: 'mock',
+  async generate({ prompt, context = {} }) {
+    const analysis = await require('./scripted-ai').analyze(context.note, context.vaultStructure, prompt);
+    // Scripts may return raw text to imitate a malformed reply
+    return {
+      text: typeof analysis === 'string' ? analysis : JSON.stringify(analysis),
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  }
+}));
+
+// ===== Helpers =====
+
+/**
+ * POST JSON with a timeout and return the parsed response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} providerConfig - Provider config (timeoutMs)
+ * @param {string} label - Provider label for error messages
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function postJson(url, body, providerConfig, label, headers = {}) {
+  const fetch = (await import('node-fetch')).default;
+  const timeoutMs = providerConfig.timeoutMs || 120000;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`${label} API error: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`${label} request timed out after ${timeoutMs}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Find the Anthropic API key: config, then $ANTHROPIC_API_KEY, then the key file
+ * @param {Object} providerConfig - Provider config (apiKey, apiKeyFile)
+ * @returns {string|undefined} API key
+ */
+function readAnthropicKey(providerConfig) {
+  if (providerConfig.apiKey) return providerConfig.apiKey;
+  if (process.env.ANTHROPIC_API_KEY) return process.env.ANTHROPIC_API_KEY;
+
+  if (providerConfig.apiKeyFile) {
+    const keyFile = providerConfig.apiKeyFile.replace(/^~(?=$|\/)/, os.homedir());
+    try {
+      return fs.readFileSync(path.resolve(keyFile), 'utf8').trim();
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return undefined;
+}
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+module.exports = {
+  registerProvider,
+  resolveModel,
+  getProvider,
+  isLocalProvider,
+  postJson
+};
@@ -0,0 +1,100 @@
+/**
+ * Analysis Cache - Persistent AI analysis results keyed by content hash
+ * A note whose body, prompt instructions and model are unchanged is not sent to the model again
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+/**
+ * Build the cache key for an analysis
+ * @param {Object} parts - Key parts
+ * @param {string} parts.body - Note body
+ * @param {string} parts.promptVersion - Prompt version: template text, house rules and vocabulary (see prompts.js)
+ * @param {string} parts.model - Model that answered ("provider/model" or bare name)
+ * @returns {string} SHA-256 hex digest
+ */
+function analysisCacheKey({ body, promptVersion, model }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([body, promptVersion, model]))
+    .digest('hex');
+}
+
+/**
+ * Look up a cached analysis
+ * @param {string} key - Cache key from analysisCacheKey
+ * @param {Object} config - Full configuration (ai.cache)
+ * @returns {Promise<Object|null>} Cached analysis, or null on a miss or when the cache is off
+ */
+async function getCachedAnalysis(key, config) {
+  if (!config.ai.cache.enabled) {
+    return null;
+  }
+
+  const data = await loadCache(config);
+  const entry = data.entries[key];
+  return entry ? entry.analysis : null;
+}
+
+/**
+ * Store an analysis, dropping the oldest entries beyond ai.cache.maxEntries
+ * @param {string} key - Cache key from analysisCacheKey
+ * @param {Object} analysis - Validated analysis
+ * @param {Object} config - Full configuration (ai.cache)
+ * @param {Object} details - Extra fields kept with the entry (path, model that answered)
+ * @returns {Promise<void>}
+ */
+async function storeAnalysis(key, analysis, config, details = {}) {
+  if (!config.ai.cache.enabled) {
+    return;
+  }
+
+  const data = await loadCache(config);
+  delete data.entries[key]; // Re-inserting keeps the entries in age order
+  data.entries[key] = { ...details, analysis, stored: new Date().toISOString() };
+
+  const keys = Object.keys(data.entries);
+  for (const oldKey of keys.slice(0, Math.max(0, keys.length - config.ai.cache.maxEntries))) {
+    delete data.entries[oldKey];
+  }
+
+  await fs.writeFile(config.ai.cache.path, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Remove every cached analysis
+ * @param {Object} config - Full configuration (ai.cache)
+ * @returns {Promise<void>}
+ */
+async function clearAnalysisCache(config) {
+  await fs.rm(config.ai.cache.path, { force: true });
+}
+
+/**
+ * Load the cache file
+ * @param {Object} config - Full configuration (ai.cache)
+ * @returns {Promise<Object>} { version, entries }
+ */
+async function loadCache(config) {
+  try {
+    const data = JSON.parse(await fs.readFile(config.ai.cache.path, 'utf8'));
+    return data.entries ? data : { version: 1, entries: {} };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { version: 1, entries: {} };
+    }
+    // A damaged cache only costs a model call - start over rather than fail processing
+    if (err instanceof SyntaxError) {
+      console.warn(`⚠️  Ignoring unreadable analysis cache ${config.ai.cache.path}: ${err.message}`);
+      return { version: 1, entries: {} };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  analysisCacheKey,
+  getCachedAnalysis,
+  storeAnalysis,
+  clearAnalysisCache
+};
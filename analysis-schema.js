@@ -0,0 +1,162 @@
+/**
+ * Analysis Schema - Parse and validate the JSON a model returns for a note
+ * Anything processInbox and the filer rely on is checked here, not assumed
+ */
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Obsidian tag: letters, digits, "-", "_" and "/" for nesting (no spaces, no leading "#");
+// tags are lowercased before they are checked, as the repair prompt asks
+const TAG_PATTERN = /^[\p{L}\p{N}_][\p{L}\p{N}_/-]*$/u;
+
+/**
+ * Parse a model response and validate it as an analysis
+ * Accepts bare JSON, a ```json fenced block, or JSON surrounded by prose
+ * @param {string} text - Model response
+ * @returns {Object} { valid, errors, value } - value is the normalized analysis when valid
+ */
+function parseAnalysisResponse(text) {
+  let raw;
+  try {
+    raw = extractJson(text);
+  } catch (err) {
+    return { valid: false, errors: [err.message], value: null };
+  }
+  return validateAnalysis(raw);
+}
+
+/**
+ * Validate (and normalize) an analysis object
+ * @param {*} raw - Parsed model output
+ * @returns {Object} { valid, errors, value } - value is the normalized analysis when valid
+ */
+function validateAnalysis(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: null };
+  }
+
+  const folder = typeof raw.folder === 'string' ? raw.folder.trim().replace(/^\/+|\/+$/g, '') : null;
+  if (!folder) {
+    errors.push('folder must be a non-empty string');
+  }
+
+  let tags = [];
+  if (!Array.isArray(raw.tags)) {
+    errors.push('tags must be an array of strings');
+  } else {
+    tags = raw.tags.map((tag, index) => {
+      if (typeof tag !== 'string') {
+        errors.push(`tags[${index}] must be a string`);
+        return null;
+      }
+      const slug = tag.trim().replace(/^#/, '').toLowerCase();
+      if (!TAG_PATTERN.test(slug)) {
+        errors.push(`tags[${index}] "${tag}" is not a tag slug (no spaces or punctuation)`);
+      }
+      return slug;
+    });
+  }
+
+  let related = [];
+  if (raw.related !== undefined && raw.related !== null) {
+    if (!Array.isArray(raw.related) || raw.related.some(item => typeof item !== 'string')) {
+      errors.push('related must be an array of note paths');
+    } else {
+      related = raw.related;
+    }
+  }
+
+  if (raw.summary !== undefined && raw.summary !== null && typeof raw.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  let confidence = raw.confidence;
+  if (typeof confidence === 'string' && CONFIDENCE_LEVELS.includes(confidence.trim().toLowerCase())) {
+    confidence = confidence.trim().toLowerCase();
+  } else if (!(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+    errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join('/')} or a number from 0 to 1`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    value: {
+      ...raw,
+      folder,
+      tags,
+      related,
+      summary: raw.summary || '',
+      confidence
+    }
+  };
+}
+
+/**
+ * Build a prompt asking the model to fix its previous answer
+ * @param {string} response - The invalid response
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(response, errors) {
+  return `Your previous reply could not be used because it did not match the required format.
+
+**Your reply:**
+${response.slice(0, 4000)}
+
+**Problems:**
+${errors.map(error => `- ${error}`).join('\n')}
+
+**Required format:**
+Reply with ONLY valid JSON, no other text:
+{
+  "folder": "folder/path",
+  "tags": ["tag1", "tag2"],
+  "related": ["path/to/note1.md"],
+  "summary": "Brief summary",
+  "confidence": "high"
+}
+
+"tags" are lowercase slugs without spaces or "#". "confidence" is high, medium, low or a number from 0 to 1.
+
+JSON output:`;
+}
+
+/**
+ * Extract a JSON value from a model response
+ * @param {string} text - Model response
+ * @returns {*} Parsed JSON
+ */
+function extractJson(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('response is empty');
+  }
+
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+  const braces = text.match(/\{[\s\S]*\}/);
+  if (braces) candidates.push(braces[0]);
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw new Error(braces || fenced ? `response is not valid JSON (${lastError.message})` : 'no JSON found in response');
+}
+
+module.exports = {
+  parseAnalysisResponse,
+  validateAnalysis,
+  buildRepairPrompt
+};
@@ -1,6 +1,6 @@
-const VaultClient = require('../obsidian-curator/vault-client');
-const config = require('../obsidian-curator/config.json');
-const vaultClient = new VaultClient(config.couchdb);
+const { createVaultClient } = require('./vault-backend');
+const loadConfig = require('./config');
+const vaultClient = createVaultClient(loadConfig());
 
 /**
  * Sanitize Unicode characters (DEPRECATED - emojis are now safe!)
@@ -19,9 +19,10 @@ function sanitizeUnicode(text) {
  * Capture a note to the inbox with YAML frontmatter
  * @param {string} text - The note content
  * @param {object} metadata - Metadata object (should include 'source')
+ * @param {Array<Object>} attachments - Files to store next to the note and embed, as [{ name, data }]
  * @returns {Promise<string>} - The created note path
  */
-async function captureNote(text, metadata = {}) {
+async function captureNote(text, metadata = {}, attachments = []) {
   const now = new Date();
   
   // Format timestamp: YYYY-MM-DD-HHMMSS
@@ -46,6 +47,14 @@ async function captureNote(text, metadata = {}) {
   // Sanitize text to prevent LiveSync corruption from Unicode
   const safeText = sanitizeUnicode(text);
   
+  // Store attachments under inbox/attachments/ and embed them by name
+  const embeds = [];
+  for (const attachment of attachments) {
+    const name = `${timestamp}-${attachment.name.replace(/[^a-zA-Z0-9._-]/g, '-')}`;
+    await vaultClient.writeAttachment(`inbox/attachments/${name}`, attachment.data);
+    embeds.push(`![[${name}]]`);
+  }
+  
   // Create YAML frontmatter
   const frontmatter = [
     '---',
@@ -53,7 +62,8 @@ async function captureNote(text, metadata = {}) {
     `source: ${metadata.source || 'unknown'}`,
     '---',
     '',
-    safeText
+    safeText,
+    ...(embeds.length > 0 ? ['', ...embeds] : [])
   ].join('\n');
   
   // Create the note (content is already sanitized)
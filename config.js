@@ -7,40 +7,154 @@ const path = require('path');
 
 // Default configuration
 const defaults = {
+  vault: {
+    backend: 'couchdb', // 'couchdb' (Self-hosted LiveSync), 'filesystem' or 'memory' (tests)
+    path: '', // Vault root directory for the filesystem backend
+    batchSize: 200 // Notes per batched read/write request
+  },
   couchdb: {
+    url: '', // Full server URL, e.g. 'https://couch.example.com/couchdb' (overrides protocol/host/port)
+    protocol: 'http', // 'http' or 'https'
     host: '127.0.0.1',
     port: 5984,
     database: 'obsidian',
     username: 'your_username',
-    password: 'your_password'
+    password: 'your_password',
+    sanitizeUnicode: false, // Strip non-ASCII characters on write (legacy behaviour)
+    chunkSize: 50000, // Max chunk size in UTF-8 bytes
+    conflictRetries: 3, // Merge-and-retry attempts when a note changed mid-write
+    timeoutMs: 30000, // Per-request timeout
+    requestRetries: 4, // Retries for 5xx responses and connection errors
+    retryBaseDelayMs: 500, // First retry delay, doubled per attempt (with jitter)
+    retryMaxDelayMs: 10000, // Longest delay between retries
+    passphrase: '', // LiveSync E2EE passphrase (empty = unencrypted vault)
+    obfuscatePaths: false // LiveSync "Path Obfuscation" (requires passphrase)
   },
   processor: {
     defaultModel: 'qwen2.5-coder:7b',
-    fallbackModel: 'anthropic/claude-sonnet-4-5',
     defaultLimit: 10,
-    ollamaHost: 'http://localhost:11434',
     vaultStructureCachePath: path.join(__dirname, 'vault-structure.json'),
-    vaultStructureMaxAge: 6 * 60 * 60 * 1000 // 6 hours in milliseconds
+    vaultStructureMaxAge: 6 * 60 * 60 * 1000, // 6 hours in milliseconds
+    countTags: true // Read frontmatter tags for {{tags}} (only notes changed since the last refresh)
+  },
+  ai: {
+    defaultProvider: 'ollama', // Provider for model names without a "provider/" prefix
+    fallbackChain: ['anthropic/claude-sonnet-4-5'], // Models tried in order when the requested one fails
+    repairAttempts: 1, // Times to send an invalid reply back for fixing before falling back
+    offlineFallback: true, // Try the offline heuristic analyzer after every model in the chain failed
+    longNotes: {
+      reserveTokens: 600, // Context kept free for the reply when checking whether a prompt fits
+      summaryWords: 80, // Length asked for per section summary
+      maxRounds: 3 // Summaries of summaries before giving up on a note
+    },
+    cache: {
+      enabled: true, // Reuse analyses of unchanged notes (same body, prompt instructions and model)
+      path: path.join(__dirname, 'analysis-cache.json'),
+      maxEntries: 5000 // Oldest entries are dropped beyond this
+    },
+    usage: {
+      path: path.join(__dirname, 'ai-usage.json'), // Tokens, latency and cost per day
+      monthlyBudgetUsd: 0 // Estimated spend after which only local providers are used (0 = no budget)
+    },
+    providers: {
+      ollama: {
+        type: 'ollama',
+        host: 'http://localhost:11434',
+        timeoutMs: 120000,
+        options: { temperature: 0.3, num_predict: 500 }, // Passed as Ollama's "options"
+        contextTokens: { '*': 4096 } // Context window by model ("*" = any other); longer notes are summarized first
+      },
+      anthropic: {
+        type: 'anthropic',
+        apiKey: '', // Falls back to $ANTHROPIC_API_KEY, then apiKeyFile
+        apiKeyFile: '~/.config/openclaw/anthropic-key.txt',
+        timeoutMs: 60000,
+        options: { max_tokens: 1024, temperature: 0.3 },
+        pricing: { '*': { input: 3, output: 15 } }, // USD per million tokens, by model ("*" = any other)
+        contextTokens: { '*': 200000 }
+      },
+      openai: {
+        type: 'openai', // Any OpenAI-compatible /chat/completions server (llama.cpp, LM Studio, vLLM...)
+        host: 'http://localhost:8080/v1',
+        apiKey: '',
+        local: true, // Runs on this machine, so it stays allowed over budget (false for hosted APIs)
+        timeoutMs: 120000,
+        options: { temperature: 0.3, max_tokens: 500 },
+        contextTokens: { '*': 8192 }
+      },
+      offline: {
+        type: 'offline' // Heuristic analysis without a model (offline-analyzer.js), model "offline"
+      },
+      mock: {
+        type: 'mock' // Scripted answers (scripted-ai.js), also reachable as model "scripted"
+      }
+    }
+  },
+  prompts: {
+    path: path.join(__dirname, 'prompts'), // Folder of <name>.md templates (bundled ones are the fallback)
+    default: 'analyze', // Template used when no override matches
+    summarize: 'summarize', // Template for condensing the parts of long notes
+    overrides: [], // e.g. [{ folder: 'inbox/work/', template: 'work' }, { source: 'telegram', template: 'quick' }]
+    houseRules: [], // Team conventions listed in the prompt as {{rules}}
+    examples: 3, // Similar past filing decisions listed as {{examples}} (0 = none)
+    maxFolders: 20, // Folders listed in {{folders}} (0 = all)
+    maxTags: 30 // Tags listed in {{tags}} (0 = all)
+  },
+  tags: {
+    // Canonical tags with synonyms and aliases (tag-vocabulary.example.json); without the file
+    // suggested tags are used as they are
+    vocabularyPath: path.join(__dirname, 'tag-vocabulary.json'),
+    unknown: 'review' // Tags not in the vocabulary: 'review' (queue the note), 'reject' (drop them) or 'keep'
+  },
+  embeddings: {
+    enabled: false, // Suggest related notes by similarity instead of model guesses
+    embedder: 'ollama', // 'ollama' (/api/embed, host from ai.providers.ollama) or 'hashed' (no model)
+    model: 'nomic-embed-text',
+    path: path.join(__dirname, 'embedding-index.json'),
+    batchSize: 32, // Notes per embedding request
+    maxAge: 60 * 60 * 1000, // 1 hour - how long an updated index is used before the vault is listed again
+    maxChars: 4000, // Start of each note that is embedded
+    maxRelated: 5,
+    minSimilarity: 0.5 // Lowest cosine similarity suggested
   },
   inbox: {
     path: 'inbox/'
   },
+  watcher: {
+    debounceMs: 5000, // Quiet period after the last edit before processing
+    retries: 4, // Retries for a batch that failed to process
+    retryBaseDelayMs: 5000, // First retry delay, doubled per attempt (with jitter)
+    retryMaxDelayMs: 5 * 60 * 1000, // Longest delay between retries, also the wait before a failed batch is tried again
+    statePath: path.join(__dirname, 'watcher-state.json')
+  },
   filer: {
     defaultLimit: 10,
     minConfidence: 0.7,
     reviewQueuePath: 'inbox/review-queue/',
     enableLearning: true,
-    maxHistorySessions: 100
+    maxHistorySessions: 100,
+    // Rewrite [[wikilinks]] in other notes when filing (scans the whole vault per note)
+    updateLinks: false,
+    moveAttachments: true, // Move ![[embedded]] files from the inbox along with the note
+    historyPath: path.join(__dirname, 'filing-history.json'),
+    learningDataPath: path.join(__dirname, 'learning-data.json')
+  },
+  snapshots: {
+    path: path.join(__dirname, 'snapshots'), // Where snapshot archives are written
+    preflight: true, // Snapshot the notes a processing or filing run is about to change
+    keep: 20 // Pre-flight snapshots to keep (manual exports are never pruned)
   }
 };
 
 /**
  * Load configuration from config.json with fallback to defaults
- * @param {string} configPath - Path to config file (optional)
+ * @param {string} configPath - Path to config file (optional, else $VAULT_CURATOR_CONFIG)
  * @returns {Object} Merged configuration
  */
 function loadConfig(configPath = null) {
-  const configFile = configPath || path.join(__dirname, 'config.json');
+  const configFile = configPath ||
+    process.env.VAULT_CURATOR_CONFIG ||
+    path.join(__dirname, 'config.json');
   
   // Start with defaults
   let config = JSON.parse(JSON.stringify(defaults));
@@ -49,7 +163,7 @@ function loadConfig(configPath = null) {
   try {
     if (fs.existsSync(configFile)) {
       const userConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-      config = deepMerge(config, userConfig);
+      config = migrateLegacyKeys(deepMerge(config, userConfig), userConfig);
     }
   } catch (err) {
     console.warn(`Warning: Could not load config from ${configFile}:`, err.message);
@@ -59,6 +173,37 @@ function loadConfig(configPath = null) {
   return config;
 }
 
+/**
+ * Move settings from keys that were replaced onto their new place
+ * processor.ollamaHost is now ai.providers.ollama.host and processor.fallbackModel is
+ * ai.fallbackChain. A new key set in the file wins over the old one
+ * @param {Object} config - Merged configuration
+ * @param {Object} userConfig - Configuration as read from the file
+ * @returns {Object} Configuration without the old keys
+ */
+function migrateLegacyKeys(config, userConfig) {
+  const processor = userConfig.processor || {};
+  const ai = userConfig.ai || {};
+
+  if (processor.ollamaHost !== undefined) {
+    console.warn('⚠️  processor.ollamaHost is deprecated, use ai.providers.ollama.host');
+    if (!(ai.providers && ai.providers.ollama && ai.providers.ollama.host)) {
+      config.ai.providers.ollama = { ...config.ai.providers.ollama, host: processor.ollamaHost };
+    }
+    delete config.processor.ollamaHost;
+  }
+
+  if (processor.fallbackModel !== undefined) {
+    console.warn('⚠️  processor.fallbackModel is deprecated, use ai.fallbackChain');
+    if (!ai.fallbackChain) {
+      config.ai.fallbackChain = processor.fallbackModel ? [processor.fallbackModel] : [];
+    }
+    delete config.processor.fallbackModel;
+  }
+
+  return config;
+}
+
 /**
  * Deep merge two objects
  * @param {Object} target - Target object
@@ -3,7 +3,7 @@
  * Phase 3 Demo - Showcase filing, learning, and undo
  */
 
-const VaultClient = require('./vault-client');
+const { createVaultClient } = require('./vault-backend');
 const { fileNotes } = require('./filer');
 const { trackCorrection, getFolderHints, getStats } = require('./learning');
 const { undoLastFiling, getRecentSessions } = require('./undo');
@@ -14,7 +14,7 @@ async function demo() {
   console.log('='.repeat(60));
   
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   
   // ===== Demo 1: Create test notes =====
   console.log('\n📝 Step 1: Creating test notes in inbox...\n');
@@ -4,7 +4,7 @@
  * Shows all features with live examples
  */
 
-const VaultClient = require('./vault-client');
+const { createVaultClient } = require('./vault-backend');
 const { processInbox } = require('./processor');
 const loadConfig = require('./config');
 
@@ -13,7 +13,7 @@ async function demo() {
   console.log('='.repeat(60));
   
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   
   try {
     // Demo 1: Show vault stats
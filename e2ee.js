@@ -0,0 +1,148 @@
+/**
+ * E2EE - Passphrase-based encryption compatible with Self-hosted LiveSync
+ * Encrypts chunk data and note properties, and obfuscates document IDs
+ */
+
+const crypto = require('crypto');
+
+// LiveSync derives AES-GCM keys with PBKDF2 over a SHA-256 digest of the passphrase
+const PBKDF2_ITERATIONS = 100000;
+const IV_LENGTH = 16;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+
+// Prefix LiveSync uses for encrypted note properties stored in `path`
+const ENCRYPTED_META_PREFIX = '/\\:';
+
+// Derived keys are expensive, cache them per passphrase + salt
+const keyCache = new Map();
+
+/**
+ * Derive an AES-256 key from a passphrase and salt
+ * @param {string} passphrase - E2EE passphrase
+ * @param {Buffer} salt - PBKDF2 salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, salt) {
+  const cacheKey = `${passphrase}\u0000${salt.toString('hex')}`;
+  if (keyCache.has(cacheKey)) {
+    return keyCache.get(cacheKey);
+  }
+
+  const digest = crypto.createHash('sha256').update(passphrase, 'utf8').digest();
+  const key = crypto.pbkdf2Sync(digest, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+  keyCache.set(cacheKey, key);
+  return key;
+}
+
+/**
+ * Encrypt a string in LiveSync's format: "%" + hex(iv) + hex(salt) + base64(ciphertext + tag)
+ * @param {string} input - Plain text to encrypt
+ * @param {string} passphrase - E2EE passphrase
+ * @param {Buffer} salt - Optional salt (reused to avoid re-deriving keys per chunk)
+ * @returns {string} Encrypted string
+ */
+function encrypt(input, passphrase, salt = crypto.randomBytes(SALT_LENGTH)) {
+  const key = deriveKey(passphrase, salt);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(input), 'utf8'),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  return '%' + iv.toString('hex') + salt.toString('hex') + encrypted.toString('base64');
+}
+
+/**
+ * Decrypt a string produced by LiveSync (current "%" format or legacy JSON array)
+ * @param {string} encrypted - Encrypted string
+ * @param {string} passphrase - E2EE passphrase
+ * @returns {string} Plain text
+ */
+function decrypt(encrypted, passphrase) {
+  let ivHex, saltHex, data;
+
+  if (encrypted.startsWith('%')) {
+    ivHex = encrypted.substring(1, 1 + IV_LENGTH * 2);
+    saltHex = encrypted.substring(1 + IV_LENGTH * 2, 1 + (IV_LENGTH + SALT_LENGTH) * 2);
+    data = encrypted.substring(1 + (IV_LENGTH + SALT_LENGTH) * 2);
+  } else if (encrypted.startsWith('[')) {
+    // Legacy format: ["base64 ciphertext", "iv hex", "salt hex"]
+    [data, ivHex, saltHex] = JSON.parse(encrypted);
+  } else {
+    throw new Error('Unrecognised encrypted data format');
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(saltHex, 'hex'));
+  const raw = Buffer.from(data, 'base64');
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(raw.subarray(raw.length - TAG_LENGTH));
+
+  let plain;
+  try {
+    plain = Buffer.concat([
+      decipher.update(raw.subarray(0, raw.length - TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (err) {
+    throw new Error('Decryption failed - check couchdb.passphrase');
+  }
+
+  return JSON.parse(plain);
+}
+
+/**
+ * Obfuscate a document ID the way LiveSync does with path obfuscation enabled
+ * @param {string} id - Plain document ID (lowercased path)
+ * @param {string} passphrase - E2EE passphrase
+ * @returns {string} Obfuscated ID ("f:" + hash)
+ */
+function obfuscatePath(id, passphrase) {
+  const hashedPassphrase = crypto.createHash('sha256').update(passphrase, 'utf8').digest('hex');
+  const hash = crypto.createHash('sha256').update(`${hashedPassphrase}:${id}`, 'utf8').digest('hex');
+  return `f:${hash}`;
+}
+
+/**
+ * Encrypt note properties into a value for the metadata `path` field
+ * @param {Object} properties - { path, mtime, ctime, size }
+ * @param {string} passphrase - E2EE passphrase
+ * @param {Buffer} salt - Optional salt
+ * @returns {string} Encrypted properties with LiveSync prefix
+ */
+function encryptMetadata(properties, passphrase, salt) {
+  return ENCRYPTED_META_PREFIX + encrypt(JSON.stringify(properties), passphrase, salt);
+}
+
+/**
+ * Decrypt note properties from a metadata `path` field
+ * @param {string} value - Encrypted `path` value
+ * @param {string} passphrase - E2EE passphrase
+ * @returns {Object} { path, mtime, ctime, size }
+ */
+function decryptMetadata(value, passphrase) {
+  return JSON.parse(decrypt(value.substring(ENCRYPTED_META_PREFIX.length), passphrase));
+}
+
+/**
+ * Check whether a metadata `path` field holds encrypted properties
+ * @param {string} value - `path` value
+ * @returns {boolean} True if encrypted
+ */
+function isEncryptedMetadata(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_META_PREFIX);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  obfuscatePath,
+  encryptMetadata,
+  decryptMetadata,
+  isEncryptedMetadata,
+  SALT_LENGTH
+};
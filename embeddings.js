@@ -0,0 +1,254 @@
+/**
+ * Embeddings - Local embedding index for related-note suggestions
+ * Vault notes are embedded once (Ollama's /api/embed, or the built-in "hashed" embedder)
+ * and kept in embeddings.path; later runs only embed notes whose mtime or size changed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { postJson } = require('./ai-providers');
+
+// Embedder factories by type: (embeddingsConfig, config) => { id, embed(texts) }
+const embedders = new Map();
+
+/**
+ * Register an embedder type
+ * @param {string} type - Type name used in embeddings.embedder
+ * @param {Function} factory - (embeddingsConfig, config) => { id, embed(texts) => Promise<Array<Array<number>>> }
+ */
+function registerEmbedder(type, factory) {
+  embedders.set(type, factory);
+}
+
+/**
+ * Create the configured embedder
+ * @param {Object} config - Full configuration
+ * @returns {Object} Embedder with id (type and model) and embed(texts)
+ */
+function getEmbedder(config) {
+  const factory = embedders.get(config.embeddings.embedder);
+  if (!factory) {
+    throw new Error(`Unknown embedder: ${config.embeddings.embedder}`);
+  }
+  return factory(config.embeddings, config);
+}
+
+class EmbeddingIndex {
+  /**
+   * @param {Object} config - Full configuration
+   * @param {Object} data - Stored index { embedder, notes: { path: { mtime, size, vector } } }
+   */
+  constructor(config, data = null) {
+    this.config = config;
+    this.embedder = getEmbedder(config);
+
+    // Vectors from another embedder or model can't be compared - start over
+    const sameEmbedder = data && data.embedder === this.embedder.id;
+    this.notes = sameEmbedder ? data.notes : {};
+    this.updated = sameEmbedder ? data.updated || null : null; // Time (ms) of the last complete update
+    this.paths = null; // Vault paths seen by the last update
+    this.lastQuery = null; // { text, vector } of the last note compared
+  }
+
+  /**
+   * Load the index from embeddings.path
+   * @param {Object} config - Full configuration
+   * @returns {Promise<EmbeddingIndex>} Index (empty if none was saved)
+   */
+  static async load(config) {
+    try {
+      return new EmbeddingIndex(config, JSON.parse(await fs.readFile(config.embeddings.path, 'utf8')));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return new EmbeddingIndex(config);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Bring the index up to date with the vault: embed new and changed notes, drop deleted ones
+   * Inbox notes are left out - they are about to be filed and can't be linked to yet.
+   * Listing the vault reads every document, so an index updated within embeddings.maxAge is
+   * used as it is
+   * @param {VaultBackend} vaultClient - Vault client
+   * @param {Object} options - Update options
+   * @param {boolean} options.force - List the vault even if the index is recent
+   * @returns {Promise<Object>} { embedded, removed, total }
+   */
+  async update(vaultClient, options = {}) {
+    const startedAt = Date.now();
+    if (!options.force && this.updated && startedAt - this.updated < this.config.embeddings.maxAge) {
+      return { embedded: 0, removed: 0, total: Object.keys(this.notes).length };
+    }
+
+    const listed = (await vaultClient.listNotes())
+      .filter(note => note.path.endsWith('.md') && !note.path.startsWith(this.config.inbox.path));
+
+    const current = new Set(listed.map(note => note.path));
+    this.paths = current;
+    const removed = Object.keys(this.notes).filter(notePath => !current.has(notePath));
+    for (const notePath of removed) {
+      delete this.notes[notePath];
+    }
+
+    const changed = listed.filter(note => {
+      const entry = this.notes[note.path];
+      return !entry || entry.mtime !== note.mtime || entry.size !== note.size;
+    });
+
+    if (changed.length > 0 || removed.length > 0) {
+      console.log(`🧭 Embedding index: ${changed.length} to embed, ${removed.length} removed`);
+    }
+
+    // Saved after every batch, so an interrupted update keeps what was embedded
+    const batchSize = this.config.embeddings.batchSize;
+    for (let i = 0; i < changed.length; i += batchSize) {
+      const batch = changed.slice(i, i + batchSize);
+      const notes = await vaultClient.readNotes(batch.map(note => note.path));
+      const texts = notes.map(note => (note ? this.textOf(note.path, vaultClient.parseFrontmatter(note.content).body) : ''));
+      const vectors = await this.embedder.embed(texts);
+
+      batch.forEach((note, index) => {
+        if (notes[index]) {
+          this.notes[note.path] = { mtime: note.mtime, size: note.size, vector: vectors[index] };
+        }
+      });
+      await this.save();
+    }
+
+    this.updated = startedAt;
+    await this.save();
+    return { embedded: changed.length, removed: removed.length, total: Object.keys(this.notes).length };
+  }
+
+  /**
+   * Rank indexed notes by similarity to a note
+   * @param {Object} note - Note object with path and body
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Most notes to return (default: embeddings.maxRelated)
+   * @param {number} options.minSimilarity - Lowest cosine similarity kept (default: embeddings.minSimilarity)
+   * @returns {Promise<Array<Object>>} [{ path, similarity }], most similar first
+   */
+  async findRelated(note, options = {}) {
+    const {
+      limit = this.config.embeddings.maxRelated,
+      minSimilarity = this.config.embeddings.minSimilarity
+    } = options;
+
+    const similarities = await this.similarities(note);
+
+    return [...similarities.entries()]
+      .filter(([notePath]) => notePath !== note.path)
+      .map(([notePath, similarity]) => ({ path: notePath, similarity }))
+      .filter(match => match.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Similarity of a note to every indexed note
+   * The last query's embedding is kept, so related notes and examples embed a note once
+   * @param {Object} note - Note object with path and body
+   * @returns {Promise<Map<string, number>>} Cosine similarity by note path
+   */
+  async similarities(note) {
+    const text = this.textOf(note.path, note.body || note.content || '');
+    if (!this.lastQuery || this.lastQuery.text !== text) {
+      const [vector] = await this.embedder.embed([text]);
+      this.lastQuery = { text, vector };
+    }
+
+    const { vector } = this.lastQuery;
+    return new Map(Object.entries(this.notes).map(([notePath, entry]) => [notePath, cosineSimilarity(vector, entry.vector)]));
+  }
+
+  /**
+   * @param {string} notePath - Note path
+   * @returns {boolean} True when the note exists in the vault (as of the last update, even if embedding failed)
+   */
+  has(notePath) {
+    return this.paths ? this.paths.has(notePath) : Object.prototype.hasOwnProperty.call(this.notes, notePath);
+  }
+
+  /**
+   * Write the index to embeddings.path
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const data = { version: 1, embedder: this.embedder.id, updated: this.updated, notes: this.notes };
+    await fs.writeFile(this.config.embeddings.path, JSON.stringify(data), 'utf8');
+  }
+
+  /**
+   * Text embedded for a note: its title and the start of its body
+   * @param {string} notePath - Note path
+   * @param {string} body - Note body without frontmatter
+   * @returns {string} Text to embed
+   */
+  textOf(notePath, body) {
+    return `${path.basename(notePath, '.md')}\n\n${body}`.slice(0, this.config.embeddings.maxChars);
+  }
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} Similarity from -1 to 1 (0 when either is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ===== Built-in embedders =====
+
+registerEmbedder('ollama', (embeddingsConfig, config) => {
+  const ollama = config.ai.providers.ollama || {};
+  const host = String(embeddingsConfig.host || ollama.host).replace(/\/+$/, '');
+
+  return {
+    id: `ollama:${embeddingsConfig.model}`,
+    async embed(texts) {
+      const data = await postJson(`${host}/api/embed`, { model: embeddingsConfig.model, input: texts }, ollama, 'Ollama embeddings');
+      if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+        throw new Error('Ollama embeddings API returned no embeddings');
+      }
+      return data.embeddings;
+    }
+  };
+});
+
+// Feature hashing of word counts - no model needed, matches shared vocabulary only
+registerEmbedder('hashed', (embeddingsConfig) => {
+  const dimensions = embeddingsConfig.dimensions || 512;
+
+  return {
+    id: `hashed:${dimensions}`,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        for (const word of text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []) {
+          const hash = crypto.createHash('md5').update(word).digest();
+          vector[hash.readUInt32LE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+        }
+        return vector;
+      });
+    }
+  };
+});
+
+module.exports = {
+  EmbeddingIndex,
+  registerEmbedder,
+  cosineSimilarity
+};
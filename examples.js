@@ -0,0 +1,175 @@
+/**
+ * Examples - Few-shot filing examples from past decisions
+ * Notes the filer moved (filing-history.json), with the folder a person moved them to
+ * afterwards where learning.js recorded a correction, picked by similarity to the note
+ */
+
+const path = require('path');
+const { VaultBackend } = require('./vault-backend');
+const { loadHistory } = require('./undo');
+const { loadLearningData, extractKeywords } = require('./learning');
+
+const EXCERPT_LENGTH = 120;
+
+// parseFrontmatter doesn't depend on the storage backend
+const frontmatterParser = new VaultBackend();
+
+/**
+ * Collect past filing decisions
+ * @returns {Promise<Array<Object>>} [{ path, title, folder, tags, excerpt, keywords }], newest first
+ */
+async function collectExamples() {
+  const history = await loadHistory();
+  const learning = await loadLearningData();
+  const byPath = new Map();
+
+  const sessions = Object.values(history.sessions || {})
+    .filter(session => !session.undone)
+    .sort((a, b) => b.startTime - a.startTime);
+
+  for (const session of sessions) {
+    for (const operation of session.operations || []) {
+      if (operation.action !== 'file' || byPath.has(operation.targetPath)) continue;
+
+      const { frontmatter, body } = frontmatterParser.parseFrontmatter(operation.newContent || '');
+      byPath.set(operation.targetPath, {
+        path: operation.targetPath,
+        title: path.basename(operation.targetPath, '.md'),
+        folder: path.dirname(operation.targetPath),
+        tags: Array.isArray(frontmatter.tags) ? frontmatter.tags.map(String) : [],
+        excerpt: excerptOf(body),
+        keywords: keywordSet(extractKeywords(body)),
+        timestamp: operation.timestamp
+      });
+    }
+  }
+
+  // A correction moved a filed note on: its final folder is the better example
+  const examples = [...byPath.values()];
+  for (const correction of learning.corrections || []) {
+    const filed = examples.find(example =>
+      example.folder === correction.originalFolder &&
+      path.basename(example.path) === correction.noteBasename &&
+      correction.timestamp >= example.timestamp
+    );
+
+    if (filed) {
+      filed.folder = correction.correctedFolder;
+      filed.path = path.join(correction.correctedFolder, correction.noteBasename);
+    } else {
+      examples.push({
+        path: path.join(correction.correctedFolder, correction.noteBasename),
+        title: path.basename(correction.noteBasename, '.md'),
+        folder: correction.correctedFolder,
+        tags: [],
+        excerpt: '',
+        keywords: keywordSet(correction.keywords || []),
+        timestamp: correction.timestamp
+      });
+    }
+  }
+
+  return examples.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Pick the examples most similar to a note
+ * Uses embedding similarity for examples in the index, keyword overlap for the rest
+ * @param {Object} note - Note object with path and body
+ * @param {Array<Object>} examples - Examples from collectExamples
+ * @param {Object} options - Selection options
+ * @param {number} options.limit - Most examples to return
+ * @param {EmbeddingIndex} options.relatedIndex - Embedding index (optional)
+ * @returns {Promise<Array<Object>>} Examples with a score, most similar first
+ */
+async function selectExamples(note, examples, options = {}) {
+  const { limit, relatedIndex = null } = options;
+  if (!limit || examples.length === 0) {
+    return [];
+  }
+
+  let similarities = new Map();
+  if (relatedIndex) {
+    try {
+      similarities = await relatedIndex.similarities(note);
+    } catch (err) {
+      console.warn(`⚠️  Embedding search for examples failed (${err.message}) - matching keywords`);
+    }
+  }
+
+  const noteKeywords = keywordSet(extractKeywords(note.body || note.content || ''));
+  return examples
+    .filter(example => example.path !== note.path)
+    .map(example => ({
+      ...example,
+      score: similarities.has(example.path)
+        ? similarities.get(example.path)
+        : keywordOverlap(noteKeywords, example.keywords)
+    }))
+    .filter(example => example.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Example lines for the analysis prompt ({{examples}})
+ * @param {Object} note - Note object with path and body
+ * @param {Object} config - Full configuration (prompts.examples)
+ * @param {EmbeddingIndex} relatedIndex - Embedding index (optional)
+ * @returns {Promise<Array<string>>} One line per example (empty when turned off or nothing matches)
+ */
+async function getPromptExamples(note, config, relatedIndex = null) {
+  if (!config.prompts.examples) {
+    return [];
+  }
+
+  const selected = await selectExamples(note, await collectExamples(), {
+    limit: config.prompts.examples,
+    relatedIndex
+  });
+
+  return selected.map(example => {
+    const excerpt = example.excerpt ? `: ${example.excerpt}` : '';
+    const tags = example.tags.length > 0 ? `, tags: ${example.tags.join(', ')}` : '';
+    return `"${example.title}"${excerpt} → folder: ${example.folder}${tags}`;
+  });
+}
+
+/**
+ * @param {string} body - Note body
+ * @returns {string} Start of the body on one line
+ */
+function excerptOf(body) {
+  const text = body.replace(/!?\[\[[^\]]*\]\]/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * @param {Array<string>} keywords - Keywords from extractKeywords
+ * @returns {Set<string>} Keywords without punctuation
+ */
+function keywordSet(keywords) {
+  return new Set(keywords
+    .map(keyword => keyword.replace(/[^\p{L}\p{N}-]/gu, ''))
+    .filter(keyword => keyword !== ''));
+}
+
+/**
+ * @param {Set<string>} a - Keywords
+ * @param {Set<string>} b - Keywords
+ * @returns {number} Shared keywords relative to both sizes (0 to 1)
+ */
+function keywordOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const keyword of a) {
+    if (b.has(keyword)) shared++;
+  }
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+module.exports = {
+  collectExamples,
+  selectExamples,
+  getPromptExamples
+};
@@ -3,11 +3,13 @@
  * Reads inbox notes with ai_suggestions, files them to target folders
  */
 
-const VaultClient = require('./vault-client');
+const { VaultBackend, createVaultClient } = require('./vault-backend');
 const { sanitizeUnicode } = require('./vault-client');
 const loadConfig = require('./config');
 const { trackOperation } = require('./undo');
 const { getFolderHints } = require('./learning');
+const { preflightSnapshot } = require('./snapshot');
+const { loadVocabulary, mapTags } = require('./tag-vocabulary');
 const path = require('path');
 const crypto = require('crypto');
 
@@ -22,7 +24,8 @@ const crypto = require('crypto');
  */
 async function fileNotes(options = {}) {
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
+  const vocabulary = loadVocabulary(config);
   
   // Apply defaults
   const limit = options.limit || 10;
@@ -53,6 +56,11 @@ async function fileNotes(options = {}) {
     // Process up to limit
     const notesToProcess = inboxNotes.slice(0, limit);
     
+    if (!dryRun) {
+      const snapshot = await preflightSnapshot(vaultClient, config, { paths: notesToProcess.map(note => note.path) }, 'filer');
+      if (snapshot) results.snapshot = snapshot.path;
+    }
+    
     for (const note of notesToProcess) {
       results.processed++;
       
@@ -60,7 +68,10 @@ async function fileNotes(options = {}) {
         const result = await fileNote(vaultClient, note, {
           minConfidence,
           dryRun,
-          sessionId
+          sessionId,
+          updateLinks: config.filer.updateLinks,
+          moveAttachments: config.filer.moveAttachments,
+          vocabulary
         });
         
         if (result.action === 'filed') {
@@ -92,33 +103,40 @@ async function fileNotes(options = {}) {
 
 /**
  * Get inbox notes that have been processed by AI (have ai_suggestions)
+ * Notes waiting in the review queue are left for a person to handle
  * @param {VaultClient} vaultClient - Vault client instance
  * @returns {Promise<Array>} Processed inbox notes
  */
 async function getProcessedInboxNotes(vaultClient) {
   const config = loadConfig();
   const inboxPath = config.inbox.path || 'inbox/';
+  const reviewQueuePath = config.filer.reviewQueuePath;
   
-  const allNotes = await vaultClient.listNotes();
-  const inboxNotes = allNotes.filter(n => n.path.startsWith(inboxPath));
+  const listed = await vaultClient.listNotes({ prefix: inboxPath });
+  const inboxNotes = listed.filter(n => n.type !== 'newnote' && !n.path.startsWith(reviewQueuePath));
   
-  // Read each note and check for ai_suggestions
+  // Read notes in batches and check for ai_suggestions
   const processed = [];
+  const batchSize = config.vault.batchSize;
   
-  for (const noteInfo of inboxNotes) {
-    const note = await vaultClient.readNote(noteInfo.path);
-    if (!note) continue;
-    
-    const { frontmatter, body } = vaultClient.parseFrontmatter(note.content);
+  for (let i = 0; i < inboxNotes.length; i += batchSize) {
+    const batch = inboxNotes.slice(i, i + batchSize).map(n => n.path);
+    const notes = await vaultClient.readNotes(batch);
     
-    // Check if note has AI suggestions
-    if (frontmatter.ai_suggestions) {
-      processed.push({
-        path: note.path,
-        frontmatter,
-        body,
-        content: note.content
-      });
+    for (const note of notes) {
+      if (!note) continue;
+      
+      const { frontmatter, body } = vaultClient.parseFrontmatter(note.content);
+      
+      // Check if note has AI suggestions
+      if (frontmatter.ai_suggestions) {
+        processed.push({
+          path: note.path,
+          frontmatter,
+          body,
+          content: note.content
+        });
+      }
     }
   }
   
@@ -133,17 +151,24 @@ async function getProcessedInboxNotes(vaultClient) {
  * @returns {Promise<Object>} Filing result
  */
 async function fileNote(vaultClient, note, options) {
-  const { minConfidence, dryRun, sessionId } = options;
-  const suggestions = note.frontmatter.ai_suggestions;
+  const { minConfidence, dryRun, sessionId, updateLinks, moveAttachments, vocabulary = null } = options;
   
   // Check confidence level
-  const confidence = parseConfidence(suggestions.confidence);
+  const confidence = parseConfidence(note.frontmatter.ai_suggestions.confidence);
   
   if (confidence < minConfidence) {
     // Queue for manual review instead of filing
-    return await queueForReview(vaultClient, note, dryRun, sessionId);
+    return await queueForReview(vaultClient, note, dryRun, sessionId, { updateLinks, moveAttachments });
   }
   
+  // Map tags onto the vocabulary again: it may have changed since the note was processed
+  const tagCheck = mapTags(note.frontmatter.ai_suggestions.tags || [], vocabulary);
+  if (tagCheck.unknown.length > 0 && vocabulary.unknown === 'review') {
+    return await queueForReview(vaultClient, note, dryRun, sessionId, { updateLinks, moveAttachments },
+      `Unknown tags: ${tagCheck.unknown.join(', ')}`);
+  }
+  const suggestions = { ...note.frontmatter.ai_suggestions, tags: tagCheck.tags };
+  
   // Get folder hints from learning data
   const hints = await getFolderHints(note.body);
   const targetFolder = hints.suggestedFolder || suggestions.folder;
@@ -174,20 +199,23 @@ async function fileNote(vaultClient, note, options) {
     };
   }
   
-  // Write note to target location
-  await vaultClient.writeNote(finalPath, updatedNote);
-  
-  // Delete original from inbox
-  await vaultClient.deleteNote(note.path);
+  // Move note to target location (keeps ctime, reuses unchanged chunks)
+  const moved = await vaultClient.moveNote(note.path, finalPath, {
+    content: updatedNote,
+    updateLinks,
+    attachments: moveAttachments
+  });
   
   // Track operation for undo
-  trackOperation(sessionId, {
+  await trackOperation(sessionId, {
     action: 'file',
     originalPath: note.path,
     targetPath: finalPath,
     timestamp: Date.now(),
     originalContent: note.content,
-    newContent: updatedNote
+    newContent: updatedNote,
+    linksUpdated: moved.linksUpdated,
+    attachmentsMoved: moved.attachmentsMoved
   });
   
   return {
@@ -195,24 +223,44 @@ async function fileNote(vaultClient, note, options) {
     action: 'filed',
     targetPath: finalPath,
     tags: suggestions.tags || [],
-    confidence: suggestions.confidence
+    confidence: suggestions.confidence,
+    linksUpdated: moved.linksUpdated.length,
+    attachmentsMoved: moved.attachmentsMoved.length
   };
 }
 
 /**
- * Queue note for manual review (low confidence)
+ * Queue note for manual review (low confidence, unknown tags)
  * @param {VaultClient} vaultClient - Vault client instance
  * @param {Object} note - Note object
  * @param {boolean} dryRun - Preview mode
  * @param {string} sessionId - Session ID
+ * @param {Object} moveOptions - { updateLinks, moveAttachments } passed on to moveNote
+ * @param {string} reason - Why the note needs review (also written to review_reason)
  * @returns {Promise<Object>} Queue result
  */
-async function queueForReview(vaultClient, note, dryRun, sessionId) {
-  const queuePath = 'inbox/review-queue/' + path.basename(note.path);
+async function queueForReview(vaultClient, note, dryRun, sessionId, moveOptions = {}, reason = 'Low confidence') {
+  const queueFolder = loadConfig().filer.reviewQueuePath.replace(/\/+$/, '');
+  
+  // Moving a note that is already queued would only rename it
+  if (note.path.startsWith(`${queueFolder}/`)) {
+    return {
+      path: note.path,
+      action: 'skipped',
+      reason: 'Already in the review queue'
+    };
+  }
+  
+  const queuePath = await resolveCollision(
+    vaultClient,
+    path.posix.join(queueFolder, path.basename(note.path)),
+    dryRun
+  );
   
   // Add review queue marker to frontmatter
   const frontmatter = { ...note.frontmatter };
   frontmatter.review_needed = true;
+  frontmatter.review_reason = reason;
   frontmatter.queued_at = new Date().toISOString();
   
   const updatedContent = vaultClient.buildNote(frontmatter, note.body);
@@ -222,33 +270,38 @@ async function queueForReview(vaultClient, note, dryRun, sessionId) {
       path: note.path,
       action: 'queued',
       targetPath: queuePath,
-      reason: 'Low confidence',
+      reason,
       preview: true
     };
   }
   
   // Ensure review-queue folder exists
-  await ensureFolderExists(vaultClient, 'inbox/review-queue');
+  await ensureFolderExists(vaultClient, queueFolder);
   
   // Move to review queue
-  await vaultClient.writeNote(queuePath, updatedContent);
-  await vaultClient.deleteNote(note.path);
+  const moved = await vaultClient.moveNote(note.path, queuePath, {
+    content: updatedContent,
+    updateLinks: moveOptions.updateLinks,
+    attachments: moveOptions.moveAttachments
+  });
   
   // Track operation
-  trackOperation(sessionId, {
+  await trackOperation(sessionId, {
     action: 'queue',
     originalPath: note.path,
     targetPath: queuePath,
     timestamp: Date.now(),
     originalContent: note.content,
-    newContent: updatedContent
+    newContent: updatedContent,
+    linksUpdated: moved.linksUpdated,
+    attachmentsMoved: moved.attachmentsMoved
   });
   
   return {
     path: note.path,
     action: 'queued',
     targetPath: queuePath,
-    reason: 'Low confidence',
+    reason,
     confidence: note.frontmatter.ai_suggestions?.confidence
   };
 }
@@ -364,14 +417,8 @@ function generateSessionId() {
   return `filer-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 }
 
-// Mock VaultClient buildNote for use in this module
-const vaultClient = {
-  buildNote: (frontmatter, body) => {
-    const VaultClient = require('./vault-client');
-    const client = new VaultClient({ host: 'dummy', port: 0, database: 'dummy', username: 'x', password: 'x' });
-    return client.buildNote(frontmatter, body);
-  }
-};
+// Frontmatter helpers for use in this module (no storage needed)
+const vaultClient = new VaultBackend();
 
 module.exports = {
   fileNotes,
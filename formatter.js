@@ -9,7 +9,8 @@ const unified = require('unified');
 const remarkParse = require('remark-parse');
 const remarkStringify = require('remark-stringify');
 const remarkGfm = require('remark-gfm');
-const VaultClient = require('./vault-client');
+const { createVaultClient } = require('./vault-backend');
+const loadConfig = require('./config');
 
 /**
  * Sanitize Unicode characters (DEPRECATED - emojis are now safe!)
@@ -396,6 +397,60 @@ async function formatNote(notePath, options = {}) {
   }
 }
 
+/**
+ * Format a single note stored in the vault (any storage backend)
+ * @param {string} notePath - Vault path of the note (e.g., "inbox/note.md")
+ * @param {Object} options - Formatting options (same as formatMarkdown)
+ *   - dryRun: boolean - Preview changes without saving
+ *   - vaultClient: VaultBackend - Vault client (default: from config)
+ * @returns {Promise<Object>} - { success, path, changed, details, error }
+ */
+async function formatVaultNote(notePath, options = {}) {
+  const { dryRun = false } = options;
+  const vaultClient = options.vaultClient || createVaultClient(loadConfig());
+  
+  try {
+    const note = await vaultClient.readNote(notePath);
+    if (!note) {
+      return {
+        success: false,
+        path: notePath,
+        error: 'Note not found'
+      };
+    }
+    
+    const { frontmatter, body, hasFrontmatter } = parseFrontmatter(note.content);
+    const formatResult = formatMarkdown(body, options);
+    
+    const formatted = hasFrontmatter
+      ? `---\n${frontmatter}\n---\n${formatResult.formatted}`
+      : formatResult.formatted;
+    
+    const changed = formatted !== note.content;
+    
+    let writeResult = {};
+    if (changed && !dryRun) {
+      writeResult = await vaultClient.writeNote(notePath, formatted, { base: note });
+    }
+    
+    return {
+      success: true,
+      path: notePath,
+      changed,
+      details: formatResult.details,
+      conflictPath: writeResult.conflictPath || null,
+      dryRun
+    };
+    
+  } catch (err) {
+    return {
+      success: false,
+      path: notePath,
+      error: `Unexpected error: ${err.message}`
+    };
+  }
+}
+
 /**
  * Format multiple notes matching a filter
  * @param {Array<string>|string} filePaths - Glob patterns or explicit paths
@@ -454,6 +509,7 @@ async function formatMultiple(filePaths, options = {}) {
 
 module.exports = {
   formatNote,
+  formatVaultNote,
   formatMultiple,
   formatMarkdown,
   sanitizeUnicode,
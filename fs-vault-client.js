@@ -0,0 +1,223 @@
+/**
+ * Filesystem Vault Client - Plain folder storage backend
+ * For vaults synced with Git, Syncthing or nothing at all (no CouchDB)
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { VaultBackend, isPlainTextPath, filterNoteList } = require('./vault-backend');
+
+// Folders Obsidian and sync tools keep inside the vault that aren't notes
+const IGNORED_DIRS = new Set(['.obsidian', '.trash', '.git', '.stfolder', '.stversions']);
+
+class FsVaultClient extends VaultBackend {
+  /**
+   * @param {Object} config - Vault config
+   * @param {string} config.path - Vault root directory
+   */
+  constructor(config) {
+    super();
+    if (!config || !config.path) {
+      throw new Error('Filesystem backend requires vault.path in config.json');
+    }
+    this.root = path.resolve(config.path);
+  }
+
+  /**
+   * Read a note by path
+   * Binary files come back with content: null and their bytes in data
+   * @param {string} notePath - Note path (e.g., "inbox/note.md")
+   * @returns {Promise<Object|null>} Note object with path, content, metadata
+   */
+  async readNote(notePath) {
+    const filePath = this._resolve(notePath);
+    const plain = isPlainTextPath(notePath);
+
+    try {
+      const [data, stats] = await Promise.all([
+        fsp.readFile(filePath),
+        fsp.stat(filePath)
+      ]);
+
+      return {
+        path: notePath,
+        content: plain ? data.toString('utf8') : null,
+        ...(!plain && { data }),
+        type: plain ? 'plain' : 'newnote',
+        ctime: stats.birthtimeMs || stats.ctimeMs,
+        mtime: stats.mtimeMs,
+        metadata: {
+          path: notePath,
+          size: stats.size
+        }
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Write or update a note (creates parent folders as needed)
+   * @param {string} notePath - Note path
+   * @param {string} content - Note content
+   * @param {object} options - Additional options (unused, kept for interface parity)
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeNote(notePath, content, options = {}) {
+    await this._writeFile(notePath, content);
+    return { ok: true, id: notePath };
+  }
+
+  /**
+   * Write a binary attachment (creates parent folders as needed)
+   * @param {string} notePath - Attachment path
+   * @param {Buffer} data - File contents
+   * @param {object} options - Additional options (unused, kept for interface parity)
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeAttachment(notePath, data, options = {}) {
+    await this._writeFile(notePath, Buffer.from(data));
+    return { ok: true, id: notePath };
+  }
+
+  /**
+   * List notes and attachments (excluding Obsidian and sync-tool folders), sorted by path
+   * Only the folder holding options.prefix is walked
+   * @param {Object} options - { prefix, since, limit, skip } (see VaultBackend.listNotes)
+   * @returns {Promise<Array>} Array of objects with path, id, type ("plain" or "newnote"), mtime, size
+   */
+  async listNotes(options = {}) {
+    const prefix = options.prefix || '';
+    const notes = [];
+    await this._walk(this._resolve(prefix.slice(0, prefix.lastIndexOf('/') + 1)), notes);
+    return filterNoteList(notes, options);
+  }
+
+  /**
+   * Delete a note
+   * @param {string} notePath - Note path
+   * @returns {Promise<Object>} Result with ok
+   */
+  async deleteNote(notePath) {
+    try {
+      await fsp.unlink(this._resolve(notePath));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        const notFound = new Error(`Note not found (404): ${notePath}`);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw err;
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Move a note with a filesystem rename (keeps creation time and sync history)
+   * @param {Object} note - Note being moved (from readNote)
+   * @param {string} to - New note path
+   * @param {string} content - Content for the new path
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async _moveNote(note, to, content) {
+    const filePath = this._resolve(to);
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.rename(this._resolve(note.path), filePath);
+
+    if (content !== note.content) {
+      return this.writeNote(to, content);
+    }
+    return { ok: true, id: to };
+  }
+
+  /**
+   * Watch the vault folder for note changes
+   * Emits 'note' ({ path, id, mtime, deleted }) and 'error' events
+   * @param {Object} options - Unused (the filesystem has no sequence to resume from)
+   * @returns {EventEmitter} Emitter with a stop() method
+   */
+  watchChanges(options = {}) {
+    const emitter = new EventEmitter();
+    const watcher = fs.watch(this.root, { recursive: true }, async (eventType, filename) => {
+      if (!filename) return;
+      const notePath = filename.split(path.sep).join('/');
+      if (notePath.split('/').some(part => IGNORED_DIRS.has(part))) return;
+
+      try {
+        const stats = await fsp.stat(this._resolve(notePath));
+        if (!stats.isFile()) return;
+        emitter.emit('note', { path: notePath, id: notePath, mtime: stats.mtimeMs, deleted: false });
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          emitter.emit('note', { path: notePath, id: notePath, mtime: Date.now(), deleted: true });
+        } else {
+          emitter.emit('error', err);
+        }
+      }
+    });
+
+    watcher.on('error', err => emitter.emit('error', err));
+    emitter.stop = () => watcher.close();
+    return emitter;
+  }
+
+  // ===== Private Helper Methods =====
+
+  _resolve(notePath) {
+    const filePath = path.resolve(this.root, notePath);
+    // Refuse paths that escape the vault root (e.g. "../../etc/passwd")
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Path outside vault: ${notePath}`);
+    }
+    return filePath;
+  }
+
+  async _writeFile(notePath, contents) {
+    const filePath = this._resolve(notePath);
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file and rename so sync tools never see a half-written note
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, contents);
+    await fsp.rename(tempPath, filePath);
+  }
+
+  async _walk(dir, notes) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) {
+          await this._walk(fullPath, notes);
+        }
+      } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+        const stats = await fsp.stat(fullPath);
+        const notePath = path.relative(this.root, fullPath).split(path.sep).join('/');
+        notes.push({
+          path: notePath,
+          id: notePath,
+          type: isPlainTextPath(notePath) ? 'plain' : 'newnote',
+          mtime: stats.mtimeMs,
+          size: stats.size
+        });
+      }
+    }
+  }
+}
+
+module.exports = FsVaultClient;
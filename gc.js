@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * GC - Vault integrity check and orphaned chunk garbage collection
+ * Finds unreferenced chunks, missing chunks, wrong sizes and malformed metadata
+ * Usage: node gc.js [--dry-run] [--prune-history]
+ */
+
+const { createVaultClient } = require('./vault-backend');
+const loadConfig = require('./config');
+
+// How many findings of each kind to list before summarising the rest
+const MAX_LISTED = 10;
+
+/**
+ * Check the vault and repair what can be repaired
+ * @param {Object} options - GC options
+ * @param {boolean} options.dryRun - Report only, change nothing
+ * @param {number} options.pageSize - Documents per page (CouchDB only)
+ * @param {boolean} options.pruneHistory - Also delete chunks only earlier revisions use (CouchDB only)
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {VaultBackend} options.vaultClient - Vault client (default: from config)
+ * @returns {Promise<Object>} Integrity report
+ */
+async function runGc(options = {}) {
+  const config = options.config || loadConfig();
+  const vaultClient = options.vaultClient || createVaultClient(config);
+
+  console.log(`🧹 Checking vault integrity${options.dryRun ? ' (dry run)' : ''}...`);
+  return vaultClient.checkIntegrity({
+    dryRun: options.dryRun,
+    pageSize: options.pageSize,
+    pruneHistory: options.pruneHistory
+  });
+}
+
+/**
+ * Format an integrity report as a summary
+ * @param {Object} report - Report from runGc / checkIntegrity
+ * @returns {string} Formatted summary
+ */
+function formatGcReport(report) {
+  const lines = [];
+
+  if (report.dryRun) {
+    lines.push('🔍 **DRY RUN** - No changes made\n');
+  }
+
+  lines.push(`📊 Scanned ${report.scanned.notes} notes and ${report.scanned.chunks} chunks\n`);
+
+  const problems = report.orphanChunks.length + report.missingChunks.length +
+    report.badSizes.length + report.malformed.length;
+  if (problems === 0 && report.errors.length === 0) {
+    lines.push('✅ Vault is consistent');
+    return lines.join('\n');
+  }
+
+  if (report.orphanChunks.length > 0) {
+    const action = report.dryRun ? 'would be deleted' : `${report.repaired.orphanChunks} deleted`;
+    lines.push(`🗑️  Orphaned chunks: ${report.orphanChunks.length} (${action})`);
+  }
+
+  if (report.missingChunks.length > 0) {
+    lines.push(`❌ Notes with missing chunks: ${report.missingChunks.length} (cannot be repaired)`);
+    listItems(lines, report.missingChunks, item => `${item.path || item.id} (${item.chunks.length} missing)`);
+  }
+
+  if (report.badSizes.length > 0) {
+    const action = report.dryRun ? 'would be fixed' : `${report.repaired.sizes} fixed`;
+    lines.push(`📏 Wrong sizes: ${report.badSizes.length} (${action})`);
+    listItems(lines, report.badSizes, item => `${item.path} (recorded ${item.recorded}, actual ${item.actual})`);
+  }
+
+  if (report.malformed.length > 0) {
+    const action = report.dryRun ? 'dry run' : `${report.repaired.metadata} repaired`;
+    lines.push(`⚠️  Malformed documents: ${report.malformed.length} (${action})`);
+    listItems(lines, report.malformed, item => `${item.path || item.id}: ${item.problems.join(', ')}`);
+  }
+
+  if (report.errors.length > 0) {
+    lines.push(`❌ Repair errors: ${report.errors.length}`);
+    listItems(lines, report.errors, item => `${item.id}: ${item.error}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Append up to MAX_LISTED findings as bullet lines
+ * @param {Array<string>} lines - Output lines
+ * @param {Array} items - Findings
+ * @param {Function} describe - Maps a finding to its line
+ */
+function listItems(lines, items, describe) {
+  for (const item of items.slice(0, MAX_LISTED)) {
+    lines.push(`  • ${describe(item)}`);
+  }
+  if (items.length > MAX_LISTED) {
+    lines.push(`  … and ${items.length - MAX_LISTED} more`);
+  }
+}
+
+/**
+ * Main entry point when called directly
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run') || args.includes('dryrun');
+  const pruneHistory = args.includes('--prune-history');
+
+  const report = await runGc({ dryRun, pruneHistory });
+  console.log('\n' + formatGcReport(report));
+
+  if (report.missingChunks.length > 0 || report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { runGc, formatGcReport };
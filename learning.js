@@ -6,8 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { sanitizeUnicode } = require('./vault-client');
-
-const LEARNING_DATA_PATH = path.join(__dirname, 'learning-data.json');
+const loadConfig = require('./config');
 
 /**
  * Track a user correction (when user manually moves a note)
@@ -187,7 +186,7 @@ function isStopWord(word) {
  */
 async function loadLearningData() {
   try {
-    const raw = await fs.readFile(LEARNING_DATA_PATH, 'utf8');
+    const raw = await fs.readFile(loadConfig().filer.learningDataPath, 'utf8');
     return JSON.parse(raw);
   } catch (err) {
     if (err.code === 'ENOENT') {
@@ -212,7 +211,7 @@ async function saveLearningData(data) {
   const sanitized = sanitizeObject(data);
   
   const json = JSON.stringify(sanitized, null, 2);
-  await fs.writeFile(LEARNING_DATA_PATH, json, 'utf8');
+  await fs.writeFile(loadConfig().filer.learningDataPath, json, 'utf8');
 }
 
 /**
@@ -259,6 +258,7 @@ async function getStats() {
 module.exports = {
   trackCorrection,
   getFolderHints,
+  extractKeywords,
   loadLearningData,
   saveLearningData,
   getStats
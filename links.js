@@ -0,0 +1,72 @@
+/**
+ * Links - Obsidian [[wikilink]] helpers
+ * Finds and rewrites links when notes move
+ */
+
+const path = require('path');
+
+// [[target]], [[target|alias]], [[target#heading]], ![[embed]]
+const WIKILINK_PATTERN = /(!?)\[\[([^\]|#\n]+)([^\]\n]*)\]\]/g;
+
+/**
+ * Rewrite wikilinks that point at a moved note
+ * Full-path links get the new path; basename links only change if the name did
+ * @param {string} content - Note content
+ * @param {string} oldPath - Old note path (e.g., "inbox/idea.md")
+ * @param {string} newPath - New note path (e.g., "projects/idea.md")
+ * @returns {Object} { content, count } with the number of links rewritten
+ */
+function rewriteLinks(content, oldPath, newPath) {
+  const oldFull = stripMarkdownExt(oldPath);
+  const newFull = stripMarkdownExt(newPath);
+  const oldName = path.posix.basename(oldFull);
+  const newName = path.posix.basename(newFull);
+  let count = 0;
+
+  const rewritten = content.replace(WIKILINK_PATTERN, (match, embed, target, rest) => {
+    const trimmed = target.trim();
+    const hasExt = /\.md$/i.test(trimmed);
+    const bare = stripMarkdownExt(trimmed);
+
+    let replacement = null;
+    if (bare.toLowerCase() === oldFull.toLowerCase()) {
+      replacement = newFull;
+    } else if (bare.toLowerCase() === oldName.toLowerCase() && oldName !== newName) {
+      replacement = newName;
+    }
+
+    if (replacement === null) return match;
+
+    count++;
+    return `${embed}[[${replacement}${hasExt ? '.md' : ''}${rest}]]`;
+  });
+
+  return { content: rewritten, count };
+}
+
+/**
+ * Extract wikilink targets from content
+ * @param {string} content - Note content
+ * @returns {Array<Object>} [{ target, embed }] with heading and alias removed
+ */
+function extractLinks(content) {
+  const links = [];
+  for (const match of content.matchAll(WIKILINK_PATTERN)) {
+    links.push({ target: match[2].trim(), embed: match[1] === '!' });
+  }
+  return links;
+}
+
+/**
+ * Remove a trailing .md extension
+ * @param {string} notePath - Path or link target
+ * @returns {string} Path without .md
+ */
+function stripMarkdownExt(notePath) {
+  return notePath.replace(/\.md$/i, '');
+}
+
+module.exports = {
+  rewriteLinks,
+  extractLinks
+};
@@ -0,0 +1,137 @@
+/**
+ * Long Notes - Map-reduce condensing of notes too long for a model's context
+ * Sections are summarized one by one (map), and the joined summaries stand in for the
+ * note body in the analysis prompt (reduce), repeated while they still don't fit
+ */
+
+const { buildSummaryPrompt } = require('./prompts');
+
+// Rough tokens-per-character ratio for English prose and markdown
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} Approximate tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Context window of a model from its provider's contextTokens
+ * contextTokens is keyed by model name, with "*" for any other model
+ * @param {Object} providerConfig - Provider config
+ * @param {string} model - Model name as sent to the provider
+ * @returns {number} Tokens (Infinity when the provider sets no limit)
+ */
+function contextBudget(providerConfig, model) {
+  const limits = providerConfig && providerConfig.contextTokens;
+  if (!limits) return Infinity;
+  return limits[model] || limits['*'] || Infinity;
+}
+
+/**
+ * Split a note body into parts of at most maxTokens
+ * Splits at headings first, packing small sections together, then at paragraphs,
+ * and cuts what is still too long
+ * @param {string} body - Note body
+ * @param {number} maxTokens - Largest part
+ * @returns {Array<Object>} [{ part, text }] - part names the first heading in it
+ */
+function splitSections(body, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+
+  // Sections start at markdown headings
+  const sections = [];
+  for (const line of body.split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading || sections.length === 0) {
+      sections.push({ title: heading ? heading[1].trim() : '', lines: [] });
+    }
+    sections[sections.length - 1].lines.push(line);
+  }
+
+  // Oversize sections become paragraph pieces, oversize paragraphs are cut
+  const pieces = [];
+  for (const section of sections) {
+    const text = section.lines.join('\n').trim();
+    if (!text) continue;
+    if (text.length <= maxChars) {
+      pieces.push({ title: section.title, text });
+      continue;
+    }
+    for (const paragraph of text.split(/\n\s*\n/)) {
+      for (let i = 0; i < paragraph.length; i += maxChars) {
+        pieces.push({ title: section.title, text: paragraph.slice(i, i + maxChars).trim() });
+      }
+    }
+  }
+
+  // Pack neighbours together up to the limit
+  const parts = [];
+  for (const piece of pieces) {
+    const last = parts[parts.length - 1];
+    if (last && last.text.length + piece.text.length + 2 <= maxChars) {
+      last.text += `\n\n${piece.text}`;
+    } else {
+      parts.push({ title: piece.title, text: piece.text });
+    }
+  }
+
+  return parts.map((part, index) => ({
+    part: `${index + 1} of ${parts.length}${part.title ? ` - ${part.title}` : ''}`,
+    text: part.text
+  }));
+}
+
+/**
+ * Condense a note body until the analysis prompt fits
+ * @param {Object} note - Note object with path and body
+ * @param {Object} options - Condense options
+ * @param {number} options.budget - Context window of the model in tokens
+ * @param {Function} options.fits - (body) => true when the analysis prompt with this body fits
+ * @param {Function} options.summarize - (prompt, section) => Promise<string> calling the model
+ * @param {Object} options.config - Full configuration
+ * @returns {Promise<string>} Body made of section summaries
+ */
+async function condenseNote(note, options) {
+  const { budget, fits, summarize, config } = options;
+  const { reserveTokens, maxRounds } = config.ai.longNotes;
+
+  // Room for a section: the window minus the reply and the summary template itself
+  const overhead = estimateTokens(buildSummaryPrompt(note, { part: '', text: '' }, config));
+  const sectionTokens = budget - reserveTokens - overhead;
+  if (sectionTokens < 100) {
+    throw new Error(`Context of ${budget} tokens is too small to summarize ${note.path}`);
+  }
+
+  let text = note.body || note.content || '';
+  for (let round = 1; round <= maxRounds; round++) {
+    const sections = splitSections(text, sectionTokens);
+    console.log(`   📚 Summarizing ${sections.length} sections of ${note.path} (round ${round})`);
+
+    const summaries = [];
+    for (const section of sections) {
+      const summary = (await summarize(buildSummaryPrompt(note, section, config), section)).trim();
+      if (!summary) {
+        throw new Error(`Empty summary for part ${section.part} of ${note.path}`);
+      }
+      summaries.push(`[Part ${section.part}]\n${summary}`);
+    }
+
+    text = `(Long note, condensed from ${sections.length} section summaries)\n\n${summaries.join('\n\n')}`;
+    if (fits(text)) {
+      return text;
+    }
+  }
+
+  throw new Error(`${note.path} is still too long after ${maxRounds} rounds of summaries`);
+}
+
+module.exports = {
+  estimateTokens,
+  contextBudget,
+  splitSections,
+  condenseNote
+};
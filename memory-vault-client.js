@@ -0,0 +1,190 @@
+/**
+ * Memory Vault Client - In-memory storage backend
+ * Lets the full capture -> process -> file -> undo flow run without CouchDB
+ */
+
+const { EventEmitter } = require('events');
+const { VaultBackend, filterNoteList } = require('./vault-backend');
+
+// Shared vaults by name, so every module that calls createVaultClient sees the same notes
+const sharedVaults = new Map();
+
+class MemoryVaultClient extends VaultBackend {
+  /**
+   * @param {Object} config - Vault config
+   * @param {Object} config.notes - Initial notes as { path: content }
+   */
+  constructor(config = {}) {
+    super();
+    this.notes = new Map();
+    this.changes = new EventEmitter();
+
+    for (const [notePath, content] of Object.entries(config.notes || {})) {
+      this._store(notePath, content, Date.now());
+    }
+  }
+
+  /**
+   * Get (or create) a vault shared across the process
+   * @param {string} name - Vault name
+   * @returns {MemoryVaultClient} Shared instance
+   */
+  static shared(name = 'default') {
+    if (!sharedVaults.has(name)) {
+      sharedVaults.set(name, new MemoryVaultClient());
+    }
+    return sharedVaults.get(name);
+  }
+
+  /**
+   * Read a note by path (case-insensitive, like LiveSync document IDs)
+   * @param {string} notePath - Note path (e.g., "inbox/note.md")
+   * @returns {Promise<Object|null>} Note object with path, content, metadata
+   */
+  async readNote(notePath) {
+    const entry = this.notes.get(this._pathToId(notePath));
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      path: entry.path,
+      content: entry.content,
+      ...(entry.data && { data: Buffer.from(entry.data) }),
+      type: entry.data ? 'newnote' : 'plain',
+      ctime: entry.ctime,
+      mtime: entry.mtime,
+      metadata: { ...entry, size: this._size(entry) }
+    };
+  }
+
+  /**
+   * Write or update a note
+   * @param {string} notePath - Note path
+   * @param {string} content - Note content
+   * @param {object} options - Additional options (unused, kept for interface parity)
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeNote(notePath, content, options = {}) {
+    const id = this._store(notePath, content, Date.now());
+    return { ok: true, id };
+  }
+
+  /**
+   * Write a binary attachment
+   * @param {string} notePath - Attachment path
+   * @param {Buffer} data - File contents
+   * @param {object} options - Additional options (unused, kept for interface parity)
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeAttachment(notePath, data, options = {}) {
+    const id = this._store(notePath, null, Date.now(), Buffer.from(data));
+    return { ok: true, id };
+  }
+
+  /**
+   * List notes and attachments, sorted by path
+   * @param {Object} options - { prefix, since, limit, skip } (see VaultBackend.listNotes)
+   * @returns {Promise<Array>} Array of objects with path, id, type ("plain" or "newnote"), mtime, size
+   */
+  async listNotes(options = {}) {
+    const notes = [...this.notes.entries()].map(([id, entry]) => ({
+      path: entry.path,
+      id,
+      type: entry.data ? 'newnote' : 'plain',
+      mtime: entry.mtime,
+      size: this._size(entry)
+    }));
+    return filterNoteList(notes, options);
+  }
+
+  /**
+   * Delete a note
+   * @param {string} notePath - Note path
+   * @returns {Promise<Object>} Result with ok
+   */
+  async deleteNote(notePath) {
+    const id = this._pathToId(notePath);
+    if (!this.notes.has(id)) {
+      const notFound = new Error(`Note not found (404): ${notePath}`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    this.notes.delete(id);
+    this.changes.emit('note', { path: notePath, id, mtime: Date.now(), deleted: true });
+    return { ok: true };
+  }
+
+  /**
+   * Move a note's entry to its new path, keeping ctime
+   * @param {Object} note - Note being moved (from readNote)
+   * @param {string} to - New note path
+   * @param {string} content - Content for the new path
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async _moveNote(note, to, content) {
+    const fromId = this._pathToId(note.path);
+    const toId = this._pathToId(to);
+    const now = Date.now();
+
+    const entry = this.notes.get(fromId);
+    this.notes.delete(fromId);
+    this.notes.set(toId, { ...entry, path: to, content, ctime: note.ctime, mtime: now });
+
+    if (toId !== fromId) {
+      this.changes.emit('note', { path: note.path, id: fromId, mtime: now, deleted: true });
+    }
+    this.changes.emit('note', { path: to, id: toId, mtime: now, deleted: false });
+    return { ok: true, id: toId };
+  }
+
+  /**
+   * Follow note changes
+   * Emits 'note' ({ path, id, mtime, deleted }) events
+   * @param {Object} options - Unused (no sequence to resume from)
+   * @returns {EventEmitter} Emitter with a stop() method
+   */
+  watchChanges(options = {}) {
+    const emitter = new EventEmitter();
+    const forward = change => emitter.emit('note', change);
+
+    this.changes.on('note', forward);
+    emitter.stop = () => this.changes.off('note', forward);
+    return emitter;
+  }
+
+  /**
+   * Remove every note (for resetting between tests)
+   */
+  clear() {
+    this.notes.clear();
+  }
+
+  // ===== Private Helper Methods =====
+
+  _pathToId(notePath) {
+    return notePath.toLowerCase();
+  }
+
+  _size(entry) {
+    return entry.data ? entry.data.length : Buffer.byteLength(entry.content, 'utf8');
+  }
+
+  _store(notePath, content, now, data = null) {
+    const id = this._pathToId(notePath);
+    const existing = this.notes.get(id);
+
+    this.notes.set(id, {
+      path: notePath,
+      content,
+      ...(data && { data }),
+      ctime: existing ? existing.ctime : now,
+      mtime: now
+    });
+    this.changes.emit('note', { path: notePath, id, mtime: now, deleted: false });
+    return id;
+  }
+}
+
+module.exports = MemoryVaultClient;
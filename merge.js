@@ -0,0 +1,195 @@
+/**
+ * Merge - Three-way merge of note bodies and frontmatter
+ * Used to resolve CouchDB revision conflicts when LiveSync edits a note mid-write
+ */
+
+const { withYamlSource } = require('./yaml');
+
+/**
+ * Compute the longest common subsequence of two line arrays
+ * @param {Array<string>} a - Base lines
+ * @param {Array<string>} b - Changed lines
+ * @returns {Int32Array} For each line in a, the index of its match in b (or -1)
+ */
+function matchLines(a, b) {
+  const matches = new Int32Array(a.length).fill(-1);
+
+  // Common prefix and suffix are always matched; only diff the middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) return matches;
+
+  // Classic dynamic programming table over the middle section
+  const table = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * (m + 1) + j] = a[start + i] === b[start + j]
+        ? table[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Three-way merge of text, line by line (diff3)
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Our version
+ * @param {string} theirs - Their version
+ * @returns {Object} { merged: string|null, conflict: boolean }
+ */
+function mergeText(base, ours, theirs) {
+  if (ours === theirs || theirs === base) return { merged: ours, conflict: false };
+  if (ours === base) return { merged: theirs, conflict: false };
+
+  const o = base.split('\n');
+  const a = ours.split('\n');
+  const b = theirs.split('\n');
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const result = [];
+  let oi = 0;
+  let ai = 0;
+  let bi = 0;
+
+  while (true) {
+    // Next base line that both sides kept
+    let stable = oi;
+    while (stable < o.length && (matchA[stable] === -1 || matchB[stable] === -1)) {
+      stable++;
+    }
+
+    const done = stable >= o.length;
+    const aEnd = done ? a.length : matchA[stable];
+    const bEnd = done ? b.length : matchB[stable];
+
+    const baseChunk = o.slice(oi, stable);
+    const oursChunk = a.slice(ai, aEnd);
+    const theirsChunk = b.slice(bi, bEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      result.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      result.push(...oursChunk);
+    } else {
+      return { merged: null, conflict: true };
+    }
+
+    if (done) break;
+
+    result.push(o[stable]);
+    oi = stable + 1;
+    ai = aEnd + 1;
+    bi = bEnd + 1;
+  }
+
+  return { merged: result.join('\n'), conflict: false };
+}
+
+/**
+ * Three-way merge of frontmatter objects, key by key
+ * @param {Object} base - Common ancestor frontmatter
+ * @param {Object} ours - Our frontmatter
+ * @param {Object} theirs - Their frontmatter
+ * @returns {Object} { merged: Object|null, conflict: boolean }
+ */
+function mergeFrontmatter(base, ours, theirs) {
+  const merged = {};
+  // Keep their key order, then append keys only we added
+  const keys = [...new Set([...Object.keys(theirs), ...Object.keys(ours), ...Object.keys(base)])];
+
+  for (const key of keys) {
+    const baseValue = JSON.stringify(base[key]);
+    const ourValue = JSON.stringify(ours[key]);
+    const theirValue = JSON.stringify(theirs[key]);
+
+    let value;
+    if (ourValue === baseValue) {
+      value = theirs[key];
+    } else if (theirValue === baseValue || theirValue === ourValue) {
+      value = ours[key];
+    } else {
+      return { merged: null, conflict: true };
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return { merged, conflict: false };
+}
+
+/**
+ * Three-way merge of complete notes (frontmatter and body merged separately)
+ * @param {string} base - Common ancestor content
+ * @param {string} ours - Our content
+ * @param {string} theirs - Their content
+ * @param {Object} parser - Object with parseFrontmatter and buildNote (a vault client)
+ * @returns {string|null} Merged content, or null if the edits overlap
+ */
+function mergeNote(base, ours, theirs, parser) {
+  const baseNote = parser.parseFrontmatter(base);
+  const ourNote = parser.parseFrontmatter(ours);
+  const theirNote = parser.parseFrontmatter(theirs);
+
+  const frontmatter = mergeFrontmatter(baseNote.frontmatter, ourNote.frontmatter, theirNote.frontmatter);
+  if (frontmatter.conflict) return null;
+
+  const body = mergeText(baseNote.body, ourNote.body, theirNote.body);
+  if (body.conflict) return null;
+
+  // Nothing to re-serialize if neither side touched the frontmatter
+  if (JSON.stringify(frontmatter.merged) === JSON.stringify(theirNote.frontmatter) &&
+      body.merged === theirNote.body) {
+    return theirs;
+  }
+
+  // Keep their formatting and comments for properties the merge didn't change
+  return parser.buildNote(withYamlSource(frontmatter.merged, theirNote.frontmatter), body.merged);
+}
+
+/**
+ * Compare two line arrays
+ * @param {Array<string>} a - Lines
+ * @param {Array<string>} b - Lines
+ * @returns {boolean} True if identical
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+module.exports = {
+  mergeText,
+  mergeFrontmatter,
+  mergeNote
+};
@@ -0,0 +1,138 @@
+/**
+ * Offline Analyzer - Rule-and-statistics note analysis that needs no LLM
+ * Folder from learned filing patterns and folder-name matches, tags from the vault's
+ * tag vocabulary, summary from the first sentence. Deterministic for a given vault state
+ */
+
+const { getFolderHints } = require('./learning');
+
+const MAX_TAGS = 5;
+const MAX_SUMMARY_LENGTH = 160;
+
+/**
+ * Analyze a note without a model
+ * @param {Object} note - Note object with path, body (or content)
+ * @param {Object} vaultStructure - Vault structure (folders, tags)
+ * @param {Object} config - Full configuration
+ * @returns {Promise<Object>} Analysis { folder, tags, related, summary, confidence }
+ *   (confidence is a number from 0 to 1 and stays low for guesses)
+ */
+async function analyzeOffline(note, vaultStructure, config) {
+  const body = note.body || note.content || '';
+  const words = countWords(`${note.path.split('/').pop().replace(/\.md$/, '')} ${body}`);
+
+  const folder = await suggestFolder(body, words, vaultStructure, config);
+  return {
+    folder: folder.path,
+    tags: suggestTags(body, words, vaultStructure),
+    related: [],
+    summary: firstSentence(body),
+    confidence: folder.confidence
+  };
+}
+
+/**
+ * Pick a folder: learned patterns from manual corrections first, then folder names
+ * sharing words with the note; with neither, the note stays in the inbox
+ * @param {string} body - Note body
+ * @param {Map<string, number>} words - Word counts of the note
+ * @param {Object} vaultStructure - Vault structure
+ * @param {Object} config - Full configuration
+ * @returns {Promise<Object>} { path, confidence }
+ */
+async function suggestFolder(body, words, vaultStructure, config) {
+  if (config.filer.enableLearning) {
+    const hints = await getFolderHints(body);
+    if (hints.suggestedFolder && hints.confidence > 0) {
+      return { path: hints.suggestedFolder, confidence: round(Math.min(0.9, 0.5 + hints.confidence / 2)) };
+    }
+  }
+
+  let best = null;
+  for (const { path: folderPath, count } of vaultStructure.folders || []) {
+    // Deeper segments say more about a note than the top-level area
+    const score = folderPath.split('/').reduce((total, segment, depth) => {
+      const matches = [...countWords(segment).keys()].reduce((sum, word) => sum + (words.get(word) || 0), 0);
+      return total + matches * (depth + 1);
+    }, 0);
+
+    if (score > 0 && (!best || score > best.score || (score === best.score && count > best.count))) {
+      best = { path: folderPath, score, count };
+    }
+  }
+
+  if (best) {
+    return { path: best.path, confidence: round(Math.min(0.6, 0.2 + 0.1 * best.score)) };
+  }
+  return { path: config.inbox.path.replace(/\/+$/, ''), confidence: 0 };
+}
+
+/**
+ * Pick known tags the note mentions (as #hashtags or as words), most used tags first
+ * @param {string} body - Note body
+ * @param {Map<string, number>} words - Word counts of the note
+ * @param {Object} vaultStructure - Vault structure
+ * @returns {Array<string>} Tags
+ */
+function suggestTags(body, words, vaultStructure) {
+  const vocabulary = vaultStructure.tags || {};
+  const hashtags = new Set((body.match(/(?:^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu) || [])
+    .map(tag => tag.trim().slice(1).toLowerCase()));
+
+  return Object.keys(vocabulary)
+    .filter(tag => {
+      if (hashtags.has(tag.toLowerCase())) return true;
+      // Every word of the tag's last segment must appear ("machine-learning" needs both)
+      const tagWords = [...countWords(tag.split('/').pop()).keys()];
+      return tagWords.length > 0 && tagWords.every(word => words.has(word));
+    })
+    .sort((a, b) => vocabulary[b] - vocabulary[a] || a.localeCompare(b))
+    .slice(0, MAX_TAGS);
+}
+
+/**
+ * First sentence of the note, without markdown
+ * @param {string} body - Note body
+ * @returns {string} Summary (empty for an empty note)
+ */
+function firstSentence(body) {
+  const text = body
+    .replace(/```[\s\S]*?```/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:#+|[-*+>]|\d+\.)\s*/, '').trim())
+    .filter(line => line !== '')
+    .join(' ')
+    .replace(/!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, alias) => alias || target)
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const sentence = (text.match(/^.*?[.!?](?=\s|$)/) || [text])[0];
+  return sentence.length > MAX_SUMMARY_LENGTH
+    ? `${sentence.slice(0, MAX_SUMMARY_LENGTH - 1).trimEnd()}…`
+    : sentence;
+}
+
+/**
+ * Count the words of a text (lowercased, 3+ letters, simple plural folding)
+ * @param {string} text - Text
+ * @returns {Map<string, number>} Word counts
+ */
+function countWords(text) {
+  const counts = new Map();
+  for (const raw of text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []) {
+    const word = raw.length > 4 ? raw.replace(/s$/, '') : raw;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  analyzeOffline,
+  firstSentence
+};
@@ -3,9 +3,12 @@
  * Scans, analyzes, and updates notes with AI suggestions
  */
 
-const VaultClient = require('./vault-client');
-const { analyzeNote } = require('./ai-client');
+const { createVaultClient } = require('./vault-backend');
+const { analyzeNote, preparePrompt } = require('./ai-client');
 const loadConfig = require('./config');
+const { preflightSnapshot } = require('./snapshot');
+const { summarizeCalls, getUsageSummary } = require('./usage');
+const { EmbeddingIndex } = require('./embeddings');
 const fs = require('fs');
 const path = require('path');
 
@@ -16,7 +19,11 @@ const path = require('path');
  * @param {string} options.model - AI model to use (default: qwen2.5-coder:7b)
  * @param {boolean} options.dryRun - If true, don't write changes (default: false)
  * @param {boolean} options.force - Process even if already processed (default: false)
- * @returns {Promise<Object>} Results summary
+ * @param {Array<string>} options.paths - Only process these notes instead of scanning the inbox
+ * @param {boolean} options.explain - Render each note's prompt instead of analyzing it (no changes)
+ * @param {boolean} options.useCache - Reuse cached analyses of unchanged notes (default: true)
+ * @returns {Promise<Object>} Results summary, with usage ({ run, today, month }: AI calls, tokens,
+ *   latency and estimated cost for this run, today and this month against the budget)
  */
 async function processInbox(options = {}) {
   const config = loadConfig();
@@ -24,35 +31,60 @@ async function processInbox(options = {}) {
     limit = config.processor.defaultLimit,
     model = config.processor.defaultModel,
     dryRun = false,
-    force = false
+    force = false,
+    paths = null,
+    explain = false,
+    useCache = true
   } = options;
   
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   
-  console.log('🔍 Scanning inbox for unprocessed notes...');
+  let inboxNotes;
   
-  // List all notes
-  const allNotes = await vaultClient.listNotes();
-  
-  // Filter inbox notes
-  const inboxNotes = allNotes.filter(note => 
-    note.path.startsWith(config.inbox.path)
-  );
-  
-  console.log(`Found ${inboxNotes.length} notes in inbox`);
+  if (paths) {
+    // Explicit notes (e.g. queued by the inbox watcher) - no full scan needed
+    inboxNotes = paths.map(notePath => ({ path: notePath }));
+    console.log(`🔍 Processing ${inboxNotes.length} queued notes...`);
+  } else {
+    console.log('🔍 Scanning inbox for unprocessed notes...');
+    
+    // List inbox notes (attachments are filed along with the notes embedding them)
+    const listed = await vaultClient.listNotes({ prefix: config.inbox.path });
+    inboxNotes = listed.filter(note => note.type !== 'newnote');
+    
+    console.log(`Found ${inboxNotes.length} notes in inbox`);
+  }
   
   // Load vault structure
   const vaultStructure = await loadVaultStructure(vaultClient, config);
   
+  // Related notes and filing examples come from the embedding index, brought up to date first
+  let relatedIndex = null;
+  if (config.embeddings.enabled) {
+    relatedIndex = await EmbeddingIndex.load(config);
+    try {
+      await relatedIndex.update(vaultClient);
+    } catch (err) {
+      console.warn(`⚠️  Could not update the embedding index: ${err.message}`);
+    }
+  }
+  
   // Process notes
   const results = {
     processed: 0,
     skipped: 0,
     failed: 0,
+    cache: { hits: 0, misses: 0 },
     notes: []
   };
   
+  if (!dryRun && !explain) {
+    const snapshot = await preflightSnapshot(vaultClient, config, { paths: inboxNotes.map(note => note.path) }, 'processor');
+    if (snapshot) results.snapshot = snapshot.path;
+  }
+  
   let processed = 0;
+  const calls = [];
   
   for (const noteInfo of inboxNotes) {
     if (processed >= limit) {
@@ -80,18 +112,33 @@ async function processInbox(options = {}) {
         continue;
       }
       
+      // Show the prompt that would be sent, without calling a model
+      if (explain) {
+        const { template, file, prompt } = await preparePrompt({ path: note.path, body, frontmatter }, vaultStructure, { config, relatedIndex });
+        console.log(`\n🔎 Prompt for ${noteInfo.path} (template: ${template})`);
+        results.notes.push({ path: note.path, status: 'explained', template, file, prompt });
+        processed++;
+        continue;
+      }
+      
       console.log(`\n📝 Processing: ${noteInfo.path}`);
       
       // Analyze with AI
       const analysis = await analyzeNote(
         { path: note.path, body, frontmatter },
         vaultStructure,
-        model
+        model,
+        { useCache, relatedIndex, vaultClient }
       );
+      results.cache[analysis.cached ? 'hits' : 'misses']++;
+      calls.push(...analysis.usage);
       
       console.log(`   📊 Analysis: ${analysis.confidence} confidence`);
       console.log(`   📁 Folder: ${analysis.folder}`);
       console.log(`   🏷️  Tags: ${analysis.tags.join(', ')}`);
+      if (analysis.unknownTags.length > 0) {
+        console.log(`   ❓ Not in tag vocabulary: ${analysis.unknownTags.join(', ')}`);
+      }
       
       // Update frontmatter with suggestions
       const updatedFrontmatter = {
@@ -110,10 +157,15 @@ async function processInbox(options = {}) {
       // Rebuild note
       const updatedContent = vaultClient.buildNote(updatedFrontmatter, body);
       
-      // Write back to vault (unless dry run)
+      // Write back to vault (unless dry run), merging any edits made meanwhile
+      let writeResult = {};
       if (!dryRun) {
-        await vaultClient.writeNote(note.path, updatedContent);
-        console.log(`   ✅ Updated with suggestions`);
+        writeResult = await vaultClient.writeNote(note.path, updatedContent, { base: note });
+        if (writeResult.conflictPath) {
+          console.log(`   ⚠️  Note changed during processing - saved as ${writeResult.conflictPath}`);
+        } else {
+          console.log(`   ✅ Updated with suggestions`);
+        }
       } else {
         console.log(`   [DRY RUN] Would update with suggestions`);
       }
@@ -122,7 +174,10 @@ async function processInbox(options = {}) {
       results.notes.push({
         path: note.path,
         analysis,
-        status: 'success'
+        status: 'success',
+        ...(analysis.validationErrors.length > 0 && { validationErrors: analysis.validationErrors }),
+        ...(analysis.unknownTags.length > 0 && { unknownTags: analysis.unknownTags }),
+        ...(writeResult.conflictPath && { conflictPath: writeResult.conflictPath })
       });
       
       processed++;
@@ -130,25 +185,43 @@ async function processInbox(options = {}) {
     } catch (err) {
       console.error(`❌ Error processing ${noteInfo.path}:`, err.message);
       results.failed++;
+      if (err.usage) calls.push(...err.usage);
       results.notes.push({
         path: noteInfo.path,
         error: err.message,
-        status: 'failed'
+        status: 'failed',
+        ...(err.validationErrors && err.validationErrors.length > 0 && { validationErrors: err.validationErrors })
       });
     }
   }
   
+  results.usage = { run: summarizeCalls(calls), ...await getUsageSummary(config) };
+  
   // Summary
   console.log('\n' + '='.repeat(50));
   console.log('📊 Processing Summary:');
   console.log(`   ✅ Processed: ${results.processed}`);
   console.log(`   ⏭️  Skipped: ${results.skipped}`);
   console.log(`   ❌ Failed: ${results.failed}`);
+  console.log(`   💾 Cache: ${results.cache.hits} hits, ${results.cache.misses} misses`);
+  console.log(`   💰 AI usage: ${formatUsage(results.usage)}`);
   console.log('='.repeat(50));
   
   return results;
 }
 
+/**
+ * Describe a run's AI usage in one line
+ * @param {Object} usage - results.usage from processInbox
+ * @returns {string} e.g. "3 calls, 2,140 tokens, $0.0123 (month: $4.20 of $10)"
+ */
+function formatUsage(usage) {
+  const { run, month } = usage;
+  const tokens = (run.inputTokens + run.outputTokens).toLocaleString('en-US');
+  const budget = month.budgetUsd > 0 ? ` of $${month.budgetUsd}` : '';
+  return `${run.calls} calls, ${tokens} tokens, $${run.costUsd.toFixed(4)} (month: $${month.costUsd.toFixed(2)}${budget})`;
+}
+
 /**
  * Load vault structure from cache or generate it
  * @param {VaultClient} vaultClient - Vault client instance
@@ -160,14 +233,15 @@ async function loadVaultStructure(vaultClient, config) {
   const maxAge = config.processor.vaultStructureMaxAge;
   
   // Check if cache exists and is fresh
+  let previous = null;
   if (fs.existsSync(cachePath)) {
     const stats = fs.statSync(cachePath);
     const age = Date.now() - stats.mtimeMs;
+    previous = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
     
     if (age < maxAge) {
       console.log('📦 Loading vault structure from cache');
-      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-      return cached;
+      return previous;
     }
   }
   
@@ -178,7 +252,6 @@ async function loadVaultStructure(vaultClient, config) {
   
   // Extract folders
   const folderCounts = {};
-  const tagCounts = {};
   
   for (const note of allNotes) {
     // Count folders
@@ -186,18 +259,28 @@ async function loadVaultStructure(vaultClient, config) {
     if (folderPath && folderPath !== '.') {
       folderCounts[folderPath] = (folderCounts[folderPath] || 0) + 1;
     }
-    
-    // Count tags (we'd need to read each note for tags, skip for now to save time)
-    // In production, you might want to cache tags separately
+  }
+  
+  const tagIndex = config.processor.countTags
+    ? await indexTags(vaultClient, allNotes, (previous && previous.tagIndex) || {}, config)
+    : null;
+  const tagCounts = {};
+  for (const entry of Object.values(tagIndex || {})) {
+    for (const tag of entry.tags) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }
   }
   
   const structure = {
     folders: Object.entries(folderCounts)
       .map(([path, count]) => ({ path, count }))
       .sort((a, b) => b.count - a.count),
-    tags: tagCounts,
+    tags: Object.fromEntries(
+      Object.entries(tagCounts).sort((a, b) => b[1] - a[1])
+    ),
     noteCount: allNotes.length,
-    updated: new Date().toISOString()
+    updated: new Date().toISOString(),
+    ...(tagIndex && { tagIndex })
   };
   
   // Save to cache
@@ -207,13 +290,62 @@ async function loadVaultStructure(vaultClient, config) {
   return structure;
 }
 
+/**
+ * Frontmatter tags per note, reading only notes changed since the last index
+ * @param {VaultClient} vaultClient - Vault client instance
+ * @param {Array<Object>} allNotes - Vault listing (path, mtime)
+ * @param {Object} previous - Earlier index { path: { mtime, tags } }
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Index { path: { mtime, tags } } of the listed markdown notes
+ */
+async function indexTags(vaultClient, allNotes, previous, config) {
+  const index = {};
+  const changed = [];
+  
+  for (const note of allNotes.filter(entry => entry.path.endsWith('.md'))) {
+    const known = previous[note.path];
+    if (known && known.mtime === note.mtime) {
+      index[note.path] = known;
+    } else {
+      changed.push(note);
+    }
+  }
+  
+  const batchSize = config.vault.batchSize;
+  for (let i = 0; i < changed.length; i += batchSize) {
+    const batch = changed.slice(i, i + batchSize);
+    const notes = await vaultClient.readNotes(batch.map(entry => entry.path));
+    
+    notes.forEach((note, position) => {
+      if (!note) return;
+      const { frontmatter } = vaultClient.parseFrontmatter(note.content);
+      index[batch[position].path] = { mtime: batch[position].mtime, tags: normalizeTags(frontmatter.tags) };
+    });
+  }
+  
+  return index;
+}
+
+/**
+ * Normalize a frontmatter tags value to a list of tag names
+ * @param {*} tags - Array, comma-separated string, or missing
+ * @returns {Array<string>} Tag names without leading '#'
+ */
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(tag => tag !== '');
+}
+
 /**
  * Refresh vault structure cache
  * @returns {Promise<Object>} Updated vault structure
  */
 async function refreshVaultStructure() {
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   
   // Delete cache to force refresh
   const cachePath = config.processor.vaultStructureCachePath;
@@ -226,5 +358,7 @@ async function refreshVaultStructure() {
 
 module.exports = {
   processInbox,
-  refreshVaultStructure
+  loadVaultStructure,
+  refreshVaultStructure,
+  formatUsage
 };
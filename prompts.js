@@ -0,0 +1,211 @@
+/**
+ * Prompts - Analysis prompt templates loaded from files
+ * Templates live in prompts.path as <name>.md; prompts.overrides picks another
+ * template by inbox folder or note source. The bundled prompts/ folder is the fallback
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getFolderHints } = require('./learning');
+const { loadVocabulary } = require('./tag-vocabulary');
+
+const BUNDLED_DIR = path.join(__dirname, 'prompts');
+
+/**
+ * Build the analysis prompt for a note
+ * @param {Object} note - Note object with path, body (or content), frontmatter
+ * @param {Object} vaultStructure - Vault structure (folders, tags)
+ * @param {Object} config - Full configuration
+ * @param {Object} options - Prompt options
+ * @param {Array<string>} options.hints - Learned hints (default: none, see getPromptHints)
+ * @param {Array<string>} options.examples - Past filing decisions (default: none, see examples.js)
+ * @returns {Object} { template, file, version, prompt } - version changes with the instructions: template
+ *   text, house rules and tag vocabulary. Vault context (folders, tags, hints, examples) is left out, so
+ *   a structure refresh or a new filing example doesn't invalidate cached analyses
+ */
+function buildAnalysisPrompt(note, vaultStructure, config, options = {}) {
+  const template = selectTemplate(note, config);
+  const { file, text } = loadTemplate(template, config);
+
+  const variables = {
+    note: {
+      path: note.path,
+      body: note.body || note.content || '',
+      source: (note.frontmatter && note.frontmatter.source) || ''
+    },
+    folders: listFolders(vaultStructure, config.prompts.maxFolders),
+    tags: listTags(vaultStructure, config.prompts.maxTags),
+    vocabulary: listVocabulary(loadVocabulary(config)),
+    hints: bulletList(options.hints || []),
+    examples: bulletList(options.examples || []),
+    rules: bulletList(config.prompts.houseRules || [])
+  };
+
+  const version = crypto.createHash('sha256')
+    .update(JSON.stringify([text, variables.rules, variables.vocabulary]))
+    .digest('hex')
+    .slice(0, 12);
+
+  try {
+    return { template, file, version, prompt: renderTemplate(text, variables).trimEnd() };
+  } catch (err) {
+    throw new Error(`Prompt template ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the prompt that condenses one part of a long note (template prompts.summarize)
+ * @param {Object} note - Note object with path
+ * @param {Object} section - { part, text } from long-notes.js
+ * @param {Object} config - Full configuration
+ * @returns {string} Prompt
+ */
+function buildSummaryPrompt(note, section, config) {
+  const { file, text } = loadTemplate(config.prompts.summarize, config);
+  const variables = {
+    note: { path: note.path },
+    part: section.part,
+    text: section.text,
+    words: String(config.ai.longNotes.summaryWords)
+  };
+
+  try {
+    return renderTemplate(text, variables).trimEnd();
+  } catch (err) {
+    throw new Error(`Prompt template ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Pick the template for a note: the first matching prompts.overrides entry, else prompts.default
+ * Overrides match on folder (path prefix) and/or source (frontmatter "source"), e.g.
+ * { "folder": "inbox/work/", "template": "work" } or { "source": "telegram", "template": "quick" }
+ * @param {Object} note - Note object with path and frontmatter
+ * @param {Object} config - Full configuration
+ * @returns {string} Template name
+ */
+function selectTemplate(note, config) {
+  const source = note.frontmatter && note.frontmatter.source;
+
+  for (const override of config.prompts.overrides || []) {
+    if (override.folder && !note.path.startsWith(override.folder)) continue;
+    if (override.source && override.source !== source) continue;
+    if (!override.folder && !override.source) continue;
+    return override.template;
+  }
+  return config.prompts.default;
+}
+
+/**
+ * Read a template file from prompts.path, falling back to the bundled templates
+ * @param {string} name - Template name (file name without .md)
+ * @param {Object} config - Full configuration
+ * @returns {Object} { file, text }
+ */
+function loadTemplate(name, config) {
+  if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid prompt template name: ${name}`);
+  }
+
+  for (const dir of [config.prompts.path, BUNDLED_DIR]) {
+    const file = path.join(dir, `${name}.md`);
+    if (fs.existsSync(file)) {
+      return { file, text: fs.readFileSync(file, 'utf8') };
+    }
+  }
+  throw new Error(`Prompt template not found: ${name}.md (looked in ${config.prompts.path})`);
+}
+
+/**
+ * Render a template
+ * {{name}} and {{note.path}} insert variables; {{#name}}...{{/name}} is only kept
+ * when the variable is non-empty, {{^name}}...{{/name}} only when it is empty.
+ * Unknown variables are an error, so typos show up
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text, variables) {
+  const withSections = text.replace(/\{\{([#^])([\w.]+)\}\}\n?([\s\S]*?)\{\{\/\2\}\}\n?/g, (match, kind, name, inner) => {
+    return Boolean(lookup(variables, name)) === (kind === '#') ? inner : '';
+  });
+
+  return withSections.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => lookup(variables, name));
+}
+
+/**
+ * Learned hints for a note (where notes with similar keywords were filed by hand)
+ * @param {Object} note - Note object with body
+ * @param {Object} config - Full configuration
+ * @returns {Promise<Array<string>>} Hint lines (empty when learning is off or has no match)
+ */
+async function getPromptHints(note, config) {
+  if (!config.filer.enableLearning) {
+    return [];
+  }
+
+  const hints = await getFolderHints(note.body || note.content || '');
+  if (!hints.suggestedFolder || hints.confidence <= 0) {
+    return [];
+  }
+  return [`Notes with similar keywords were moved to "${hints.suggestedFolder}" by hand (match ${hints.confidence.toFixed(2)})`];
+}
+
+/**
+ * @param {Object} variables - Variable values
+ * @param {string} name - Dotted variable name
+ * @returns {string} Value
+ */
+function lookup(variables, name) {
+  const value = name.split('.').reduce((scope, key) => {
+    return scope && Object.prototype.hasOwnProperty.call(scope, key) ? scope[key] : undefined;
+  }, variables);
+
+  if (value === undefined || (typeof value === 'object' && value !== null)) {
+    throw new Error(`unknown variable {{${name}}}`);
+  }
+  return value === null ? '' : String(value);
+}
+
+/**
+ * @param {Object} vaultStructure - Vault structure
+ * @param {number} max - Most folders to list (0 = all)
+ * @returns {string} Comma-separated folder paths
+ */
+function listFolders(vaultStructure, max) {
+  if (!vaultStructure.folders) return 'No folders';
+  const folders = vaultStructure.folders.map(f => f.path);
+  return (max ? folders.slice(0, max) : folders).join(', ');
+}
+
+/**
+ * @param {Object} vaultStructure - Vault structure
+ * @param {number} max - Most tags to list (0 = all)
+ * @returns {string} Comma-separated tag names
+ */
+function listTags(vaultStructure, max) {
+  if (!vaultStructure.tags) return 'No tags';
+  const tags = Object.keys(vaultStructure.tags);
+  return (max ? tags.slice(0, max) : tags).join(', ');
+}
+
+/**
+ * @param {Object|null} vocabulary - From loadVocabulary
+ * @returns {string} Comma-separated canonical tags (empty without a vocabulary)
+ */
+function listVocabulary(vocabulary) {
+  return vocabulary ? vocabulary.tags.join(', ') : '';
+}
+
+function bulletList(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+module.exports = {
+  buildAnalysisPrompt,
+  buildSummaryPrompt,
+  selectTemplate,
+  renderTemplate,
+  getPromptHints
+};
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Restore - Browse a note's revision history and restore an earlier version
+ * Works from CouchDB's own revisions, so it also covers edits made outside filer sessions
+ * Usage: node restore.js <path> [rev] [dryrun]
+ */
+
+const { createVaultClient, isLiveNote } = require('./vault-backend');
+const loadConfig = require('./config');
+
+// CouchDB revision IDs look like "3-917fa2381192822767f010b95b45325b"
+const REV_PATTERN = /^\d+-[0-9a-z]+$/i;
+
+/**
+ * Restore a note to an earlier revision
+ * The restored content is written as a new revision, so a restore can itself be restored
+ * @param {string} notePath - Note path
+ * @param {string|null} rev - Revision to restore (default: the newest restorable revision before the current one)
+ * @param {Object} options - Restore options
+ * @param {boolean} options.dryRun - Report only, change nothing
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {VaultBackend} options.vaultClient - Vault client (default: from config)
+ * @returns {Promise<Object>} Result with path, rev, status ("restored", "unchanged" or "dry-run"), previousRev
+ */
+async function restoreNote(notePath, rev = null, options = {}) {
+  const config = options.config || loadConfig();
+  const vaultClient = options.vaultClient || createVaultClient(config);
+
+  const history = await vaultClient.getNoteHistory(notePath);
+  if (history.length === 0) {
+    throw new Error(`No revision history for ${notePath}`);
+  }
+
+  const currentRev = history[0].rev;
+  if (!rev) {
+    const previous = history.slice(1).find(revision => revision.restorable);
+    if (!previous) {
+      throw new Error(`No earlier revision of ${notePath} can be restored`);
+    }
+    rev = previous.rev;
+  }
+
+  const revision = await vaultClient.readNoteAtRevision(notePath, rev);
+  if (!revision) {
+    throw new Error(`Revision ${rev} of ${notePath} is a deletion - pick an earlier revision`);
+  }
+
+  const current = await vaultClient.readNote(notePath);
+  const result = { path: notePath, rev, previousRev: currentRev };
+
+  if (current && sameContent(current, revision)) {
+    return { ...result, status: 'unchanged' };
+  }
+  if (options.dryRun) {
+    return { ...result, status: 'dry-run' };
+  }
+
+  if (revision.type === 'newnote') {
+    await vaultClient.writeAttachment(notePath, revision.data);
+  } else {
+    await vaultClient.writeNote(notePath, revision.content, { base: isLiveNote(current) ? current : null });
+  }
+
+  console.log(`♻️  Restored ${notePath} to revision ${rev}`);
+  return { ...result, status: 'restored' };
+}
+
+/**
+ * Handle /restore command
+ * "/restore <path>" lists revisions, "/restore <path> <rev|previous> [dryrun]" restores one
+ * @param {string} argsString - Command arguments
+ * @returns {Promise<string>} Response message
+ */
+async function handleRestoreCommand(argsString = '') {
+  const parts = argsString.trim().split(/\s+/).filter(Boolean);
+  let dryRun = false;
+  let rev = null;
+  let restore = false;
+
+  // Paths may contain spaces, so options are only taken from the end
+  while (parts.length > 1) {
+    const last = parts[parts.length - 1];
+    if (last.toLowerCase() === 'dryrun') {
+      dryRun = true;
+    } else if (last.toLowerCase() === 'previous') {
+      restore = true;
+    } else if (REV_PATTERN.test(last)) {
+      rev = last;
+      restore = true;
+    } else {
+      break;
+    }
+    parts.pop();
+  }
+
+  const notePath = parts.join(' ');
+  if (!notePath) {
+    return '❌ Usage: /restore <path> [rev|previous] [dryrun]';
+  }
+
+  try {
+    if (!restore) {
+      const config = loadConfig();
+      const history = await createVaultClient(config).getNoteHistory(notePath);
+      return formatHistory(notePath, history);
+    }
+
+    const result = await restoreNote(notePath, rev, { dryRun });
+    return formatRestoreResult(result);
+  } catch (err) {
+    return `❌ Restore failed: ${err.message}`;
+  }
+}
+
+/**
+ * Format a note's revision history
+ * @param {string} notePath - Note path
+ * @param {Array} history - Revisions from getNoteHistory
+ * @returns {string} Formatted message
+ */
+function formatHistory(notePath, history) {
+  if (history.length === 0) {
+    return `❌ No revision history for ${notePath}`;
+  }
+
+  const lines = [`🕘 **History of ${notePath}**`, ''];
+
+  history.forEach((revision, index) => {
+    const label = index === 0 ? ' (current)' : '';
+    if (!revision.available) {
+      lines.push(`▫️ \`${revision.rev}\` - compacted${label}`);
+    } else if (revision.deleted) {
+      lines.push(`🗑️ \`${revision.rev}\` - deleted ${formatTime(revision.mtime)}${label}`);
+    } else {
+      const icon = revision.restorable ? '📄' : '⚠️';
+      const missing = revision.restorable ? '' : ', chunks missing';
+      lines.push(`${icon} \`${revision.rev}\` - ${formatTime(revision.mtime)}, ${revision.size} bytes${missing}${label}`);
+    }
+  });
+
+  if (history.slice(1).some(revision => revision.restorable)) {
+    lines.push(`\n💡 To restore: \`/restore ${notePath} <rev>\` or \`/restore ${notePath} previous\``);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a restore result
+ * @param {Object} result - Result from restoreNote
+ * @returns {string} Formatted message
+ */
+function formatRestoreResult(result) {
+  if (result.status === 'unchanged') {
+    return `⏭️ ${result.path} already matches revision \`${result.rev}\``;
+  }
+  if (result.status === 'dry-run') {
+    return `🔍 **DRY RUN** - would restore ${result.path} to revision \`${result.rev}\``;
+  }
+  return `♻️ Restored ${result.path} to revision \`${result.rev}\`\n💡 To undo: \`/restore ${result.path} ${result.previousRev}\``;
+}
+
+/**
+ * @param {number} mtime - Timestamp in ms
+ * @returns {string} Readable timestamp
+ */
+function formatTime(mtime) {
+  return Number.isFinite(mtime) ? new Date(mtime).toISOString().replace('T', ' ').slice(0, 19) : 'unknown time';
+}
+
+/**
+ * Compare note contents (text or binary)
+ * @param {Object} a - Note object
+ * @param {Object} b - Note object
+ * @returns {boolean} True when the contents are identical
+ */
+function sameContent(a, b) {
+  if (a.data || b.data) {
+    return Boolean(a.data && b.data && a.data.equals(b.data));
+  }
+  return a.content === b.content;
+}
+
+/**
+ * Main entry point when called directly
+ */
+async function main() {
+  const response = await handleRestoreCommand(process.argv.slice(2).join(' '));
+  console.log(response);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { restoreNote, handleRestoreCommand, formatHistory };
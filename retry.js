@@ -0,0 +1,67 @@
+/**
+ * Retry - Exponential backoff for transient failures
+ * Used by VaultClient for every CouchDB request
+ */
+
+// Socket-level failures worth retrying (connection dropped, refused while restarting, timed out)
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+/**
+ * Decide whether a failed request may succeed if repeated
+ * @param {Error} err - Error from nano (or any request)
+ * @returns {boolean} True for 5xx / 429 responses and socket errors
+ */
+function isTransientError(err) {
+  if (!err) return false;
+  if (err.statusCode) {
+    return err.statusCode >= 500 || err.statusCode === 429;
+  }
+  if (TRANSIENT_CODES.has(err.code)) return true;
+
+  // nano rejects connection failures and timeouts with a plain Error
+  return err.scope === 'socket' || /error happened in your connection|timeout of \d+ms exceeded/i.test(err.message);
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff and jitter
+ * @param {Function} operation - Async function to run
+ * @param {Object} options - Retry policy
+ * @param {number} options.retries - Retries after the first attempt (default: 4)
+ * @param {number} options.baseDelayMs - Delay before the first retry (default: 500)
+ * @param {number} options.maxDelayMs - Upper bound for any delay (default: 10000)
+ * @param {Function} options.isRetryable - Error filter (default: isTransientError)
+ * @param {Function} options.onRetry - Called with (err, attempt, delayMs) before each retry
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withRetry(operation, options = {}) {
+  const {
+    retries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    isRetryable = isTransientError,
+    onRetry = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) {
+        throw err;
+      }
+
+      // Full delay doubles per attempt; jitter keeps parallel clients from retrying in lockstep
+      const delayMs = Math.round(Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2));
+      if (onRetry) onRetry(err, attempt + 1, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isTransientError
+};
@@ -0,0 +1,65 @@
+/**
+ * Scripted AI - Deterministic stand-in for Ollama/Claude
+ * Returns pre-scripted analyses so processing can be tested offline
+ */
+
+let script = null;
+let calls = [];
+
+/**
+ * Set the script used to answer analysis requests
+ * @param {Function|Object} newScript - (note, vaultStructure) => analysis,
+ *   or an object mapping note paths to analyses (with optional "default")
+ */
+function setScript(newScript) {
+  script = newScript;
+}
+
+/**
+ * Analyze a note using the current script
+ * @param {Object} note - Note object with path, body, frontmatter
+ * @param {Object} vaultStructure - Vault structure for context
+ * @param {string} prompt - Prompt that would have been sent to a real model
+ * @returns {Promise<Object>} Scripted analysis result
+ */
+async function analyze(note, vaultStructure, prompt) {
+  calls.push({ path: note.path, prompt });
+
+  if (!script) {
+    throw new Error('No AI script set - call setScript() first');
+  }
+
+  const result = typeof script === 'function'
+    ? await script(note, vaultStructure)
+    : script[note.path] || script.default;
+
+  if (!result) {
+    throw new Error(`No scripted analysis for ${note.path}`);
+  }
+
+  // Copy so callers can't mutate the script between runs
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Get the analysis requests made so far
+ * @returns {Array<Object>} Calls with path and prompt
+ */
+function getCalls() {
+  return calls;
+}
+
+/**
+ * Clear the script and recorded calls
+ */
+function reset() {
+  script = null;
+  calls = [];
+}
+
+module.exports = {
+  setScript,
+  analyze,
+  getCalls,
+  reset
+};
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * Snapshot - Export notes to a portable .tar.gz archive and import them back
+ * Archives hold plain files under vault/ plus a manifest.json, so any tar tool can open them
+ * Usage: node snapshot.js export [prefix] | node snapshot.js import <archive> [dryrun]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createVaultClient, isLiveNote } = require('./vault-backend');
+const { extractLinks } = require('./links');
+const loadConfig = require('./config');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MANIFEST_NAME = 'manifest.json';
+const VAULT_DIR = 'vault/';
+const BLOCK_SIZE = 512;
+
+/**
+ * Export notes (with their frontmatter and embedded attachments) to a snapshot archive
+ * @param {Object} options - Export options
+ * @param {string} options.prefix - Only notes under this path (default: whole vault)
+ * @param {Array<string>} options.paths - Only these notes (instead of prefix)
+ * @param {string} options.outputPath - Archive path (default: a timestamped file in snapshots.path)
+ * @param {string} options.reason - Label stored in the manifest and file name (e.g. "filer")
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {VaultBackend} options.vaultClient - Vault client (default: from config)
+ * @returns {Promise<Object>} Result with path, notes, attachments, bytes
+ */
+async function exportSnapshot(options = {}) {
+  const config = options.config || loadConfig();
+  const vaultClient = options.vaultClient || createVaultClient(config);
+  const prefix = options.prefix || '';
+  const reason = options.reason || 'manual';
+
+  // Listings by prefix, each made once: given paths are read directly, and the whole
+  // vault is only listed for an embed that isn't next to its note
+  const listings = new Map();
+  const list = listPrefix => {
+    if (!listings.has(listPrefix)) {
+      listings.set(listPrefix, vaultClient.listNotes({ prefix: listPrefix }));
+    }
+    return listings.get(listPrefix);
+  };
+
+  const selected = options.paths || (await list(prefix)).map(note => note.path);
+
+  const files = [];
+  const included = new Set();
+  const attachmentPaths = new Set();
+
+  const addNotes = async (notePaths) => {
+    const batchSize = config.vault.batchSize;
+    for (let i = 0; i < notePaths.length; i += batchSize) {
+      const notes = await vaultClient.readNotes(notePaths.slice(i, i + batchSize));
+      for (const note of notes) {
+        // Soft-deleted notes come back with empty content - restoring that would blank them
+        if (!isLiveNote(note) || included.has(note.path.toLowerCase())) continue;
+        included.add(note.path.toLowerCase());
+        files.push(note);
+
+        // Embedded files outside the selection travel with the note
+        if (note.content !== null && /\.md$/i.test(note.path)) {
+          for (const link of extractLinks(note.content).filter(found => found.embed)) {
+            const attachment = await resolveEmbed(link.target, note.path, list);
+            if (attachment && !included.has(attachment.toLowerCase())) {
+              attachmentPaths.add(attachment);
+            }
+          }
+        }
+      }
+    }
+  };
+
+  await addNotes(selected);
+  await addNotes([...attachmentPaths]);
+
+  const entries = [];
+  const manifest = {
+    version: 1,
+    created: new Date().toISOString(),
+    reason,
+    prefix: options.paths ? null : prefix,
+    entries: []
+  };
+
+  for (const note of files) {
+    const data = note.data || Buffer.from(note.content, 'utf8');
+    const entry = {
+      path: note.path,
+      type: note.data ? 'newnote' : 'plain',
+      ctime: note.ctime,
+      mtime: note.mtime,
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex')
+    };
+    if (!note.data && /\.md$/i.test(note.path)) {
+      entry.frontmatter = vaultClient.parseFrontmatter(note.content).frontmatter;
+    }
+
+    manifest.entries.push(entry);
+    entries.push({ name: VAULT_DIR + note.path, data, mtime: note.mtime });
+  }
+
+  entries.unshift({ name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') });
+
+  const outputPath = options.outputPath || path.join(
+    config.snapshots.path,
+    `snapshot-${manifest.created.replace(/[:.]/g, '-')}-${reason}.tar.gz`
+  );
+  const archive = await gzip(createTar(entries));
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, archive);
+
+  const attachments = manifest.entries.filter(entry => entry.type === 'newnote').length;
+  console.log(`📦 Snapshot: ${manifest.entries.length - attachments} notes, ${attachments} attachments → ${outputPath}`);
+
+  return {
+    path: outputPath,
+    notes: manifest.entries.length - attachments,
+    attachments,
+    bytes: archive.length
+  };
+}
+
+/**
+ * Restore notes from a snapshot archive through the vault client
+ * Notes whose content already matches are left alone
+ * @param {string} archivePath - Archive from exportSnapshot
+ * @param {Object} options - Import options
+ * @param {string} options.prefix - Only restore notes under this path
+ * @param {boolean} options.overwrite - Replace notes that changed since the snapshot (default: true)
+ * @param {boolean} options.dryRun - Report only, change nothing
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {VaultBackend} options.vaultClient - Vault client (default: from config)
+ * @returns {Promise<Object>} Results with restored, unchanged, skipped, failed, details
+ */
+async function importSnapshot(archivePath, options = {}) {
+  const config = options.config || loadConfig();
+  const vaultClient = options.vaultClient || createVaultClient(config);
+  const prefix = options.prefix || '';
+  const overwrite = options.overwrite !== false;
+  const dryRun = options.dryRun || false;
+
+  const files = new Map(
+    readTar(await gunzip(await fs.readFile(archivePath))).map(file => [file.name, file.data])
+  );
+  if (!files.has(MANIFEST_NAME)) {
+    throw new Error(`Not a snapshot archive (no ${MANIFEST_NAME}): ${archivePath}`);
+  }
+  const manifest = JSON.parse(files.get(MANIFEST_NAME).toString('utf8'));
+
+  const results = { restored: 0, unchanged: 0, skipped: 0, failed: 0, details: [], dryRun };
+  const entries = manifest.entries.filter(entry => entry.path.startsWith(prefix));
+
+  for (const entry of entries) {
+    try {
+      const data = files.get(VAULT_DIR + entry.path);
+      if (!data) {
+        throw new Error('missing from archive');
+      }
+      if (crypto.createHash('sha256').update(data).digest('hex') !== entry.sha256) {
+        throw new Error('checksum mismatch');
+      }
+
+      const found = await vaultClient.readNote(entry.path);
+      const current = isLiveNote(found) ? found : null;
+      const currentData = current && (current.data || Buffer.from(current.content, 'utf8'));
+
+      if (currentData && currentData.equals(data)) {
+        results.unchanged++;
+        results.details.push({ path: entry.path, status: 'unchanged' });
+        continue;
+      }
+      if (current && !overwrite) {
+        results.skipped++;
+        results.details.push({ path: entry.path, status: 'skipped', reason: 'changed since snapshot' });
+        continue;
+      }
+
+      if (!dryRun) {
+        if (entry.type === 'newnote') {
+          await vaultClient.writeAttachment(entry.path, data);
+        } else {
+          await vaultClient.writeNote(entry.path, data.toString('utf8'), { base: current });
+        }
+      }
+
+      results.restored++;
+      results.details.push({ path: entry.path, status: dryRun ? 'would restore' : 'restored' });
+    } catch (err) {
+      results.failed++;
+      results.details.push({ path: entry.path, status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Take an automatic snapshot before a housekeeping run changes notes
+ * Does nothing when snapshots.preflight is off; older pre-flight snapshots beyond
+ * snapshots.keep are removed (manual exports are never pruned)
+ * @param {VaultBackend} vaultClient - Vault client instance
+ * @param {Object} config - Configuration
+ * @param {Object} selection - { prefix } or { paths } to back up
+ * @param {string} reason - Run name (e.g. "processor", "filer")
+ * @returns {Promise<Object|null>} Export result, or null if skipped
+ */
+async function preflightSnapshot(vaultClient, config, selection, reason) {
+  if (!config.snapshots.preflight) return null;
+  if (selection.paths && selection.paths.length === 0) return null;
+
+  const result = await exportSnapshot({ ...selection, reason: `preflight-${reason}`, config, vaultClient });
+
+  const snapshots = (await fs.readdir(config.snapshots.path))
+    .filter(name => /^snapshot-.*-preflight-[\w-]+\.tar\.gz$/.test(name))
+    .sort();
+  for (const name of snapshots.slice(0, Math.max(0, snapshots.length - config.snapshots.keep))) {
+    await fs.unlink(path.join(config.snapshots.path, name));
+  }
+
+  return result;
+}
+
+/**
+ * Find the attachment an ![[embed]] points to: the exact path, else the file with that name,
+ * preferring the note's folder. Looks in the embed's or the note's folder before the whole vault
+ * @param {string} target - Embed target
+ * @param {string} notePath - Path of the embedding note
+ * @param {Function} list - (prefix) => Promise of listNotes entries
+ * @returns {Promise<string|null>} Attachment path
+ */
+async function resolveEmbed(target, notePath, list) {
+  const lower = target.toLowerCase();
+  const folder = path.posix.dirname(notePath) + '/';
+  const near = target.includes('/') ? path.posix.dirname(target) + '/' : folder;
+
+  for (const scope of new Set([near === './' ? '' : near, ''])) {
+    const attachments = (await list(scope)).filter(note => note.type === 'newnote');
+
+    const exact = attachments.find(note => note.path.toLowerCase() === lower);
+    if (exact) return exact.path;
+
+    const byName = attachments.filter(note => path.posix.basename(note.path).toLowerCase() === path.posix.basename(lower));
+    const nearby = byName.find(note => note.path.startsWith(folder));
+    const match = nearby || byName[0];
+    if (match) return match.path;
+  }
+  return null;
+}
+
+// ===== Tar (ustar + pax long names) =====
+
+/**
+ * Build an uncompressed tar archive
+ * @param {Array<Object>} entries - [{ name, data, mtime }]
+ * @returns {Buffer} Tar archive
+ */
+function createTar(entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const nameBytes = Buffer.byteLength(entry.name, 'utf8');
+    const mtime = Math.floor((entry.mtime || Date.now()) / 1000);
+
+    // Names that don't fit the 100-byte field (or aren't ASCII) go in a pax header
+    if (nameBytes > 100 || /[^\x20-\x7e]/.test(entry.name)) {
+      const pax = Buffer.from(paxRecord('path', entry.name), 'utf8');
+      blocks.push(tarHeader(`PaxHeader/${crypto.createHash('sha1').update(entry.name).digest('hex')}`, pax.length, mtime, 'x'));
+      blocks.push(padBlock(pax));
+    }
+
+    blocks.push(tarHeader(entry.name, entry.data.length, mtime, '0'));
+    blocks.push(padBlock(entry.data));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the regular files from a tar archive
+ * @param {Buffer} buffer - Tar archive
+ * @returns {Array<Object>} [{ name, data }]
+ */
+function readTar(buffer) {
+  const files = [];
+  let offset = 0;
+  let paxPath = null;
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readField(header, 124, 12) || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const data = buffer.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+      paxPath = match ? match[1] : null;
+      continue;
+    }
+
+    if (type === '0' || type === '\0') {
+      const prefix = readField(header, 345, 155);
+      const name = readField(header, 0, 100);
+      files.push({ name: paxPath || (prefix ? `${prefix}/${name}` : name), data: Buffer.from(data) });
+    }
+    paxPath = null;
+  }
+
+  return files;
+}
+
+function tarHeader(name, size, mtime, type) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100, 'ascii');
+  header.write('0000000\0', 108, 'ascii');
+  header.write('0000000\0', 116, 'ascii');
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124, 'ascii');
+  header.write(mtime.toString(8).padStart(11, '0') + '\0', 136, 'ascii');
+  header.write('        ', 148, 'ascii');
+  header.write(type, 156, 'ascii');
+  header.write('ustar\0' + '00', 257, 'ascii');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+  return header;
+}
+
+function paxRecord(key, value) {
+  // The length prefix counts itself, so grow it until it's stable
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body, 'utf8');
+  while (String(length).length + Buffer.byteLength(body, 'utf8') !== length) {
+    length = String(length).length + Buffer.byteLength(body, 'utf8');
+  }
+  return `${length}${body}`;
+}
+
+function padBlock(data) {
+  const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+  return padding === 0 ? data : Buffer.concat([data, Buffer.alloc(padding)]);
+}
+
+function readField(header, start, length) {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8').trim();
+}
+
+/**
+ * Main entry point when called directly
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'export') {
+    const result = await exportSnapshot({ prefix: args[0] || '' });
+    console.log(`✅ Wrote ${result.bytes} bytes`);
+  } else if (command === 'import' && args[0]) {
+    const results = await importSnapshot(args[0], { dryRun: args.includes('dryrun') || args.includes('--dry-run') });
+    for (const detail of results.details.filter(item => item.status !== 'unchanged')) {
+      console.log(`${detail.status === 'failed' ? '❌' : '♻️ '} ${detail.path}: ${detail.error || detail.status}`);
+    }
+    console.log(`✅ Restored: ${results.restored}, Unchanged: ${results.unchanged}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
+  } else {
+    console.log('Usage:\n  node snapshot.js export [prefix]\n  node snapshot.js import <archive.tar.gz> [dryrun]');
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportSnapshot, importSnapshot, preflightSnapshot };
@@ -0,0 +1,128 @@
+/**
+ * Tag Vocabulary - Controlled tags with synonyms, aliases and hierarchy
+ * tags.vocabularyPath lists the canonical tags (nested ones like area/photography included)
+ * with the words that mean them. Suggested tags are mapped onto it; tags.unknown decides
+ * what happens to the ones it doesn't know
+ */
+
+const fs = require('fs');
+
+const UNKNOWN_POLICIES = ['review', 'reject', 'keep'];
+
+/**
+ * Load the tag vocabulary
+ * File format: { "tags": { "area/photography": { "synonyms": ["fotografie"], "aliases": ["photo"] } } }
+ * @param {Object} config - Full configuration (tags.vocabularyPath, tags.unknown)
+ * @returns {Object|null} Vocabulary { tags, lookup, unknown }, null when there is no vocabulary file
+ */
+function loadVocabulary(config) {
+  const file = config.tags.vocabularyPath;
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+
+  if (!UNKNOWN_POLICIES.includes(config.tags.unknown)) {
+    throw new Error(`tags.unknown must be one of ${UNKNOWN_POLICIES.join(', ')} (got "${config.tags.unknown}")`);
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return buildVocabulary(data.tags || {}, config.tags.unknown);
+  } catch (err) {
+    throw new Error(`Tag vocabulary ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Index canonical tags by every way of writing them
+ * A canonical tag, its synonyms and aliases all map to it; the last segment of a nested
+ * tag does too, unless another tag ends the same way or something else claims the word
+ * @param {Object} entries - { tag: { synonyms, aliases } }
+ * @param {string} unknown - Policy for tags outside the vocabulary ('review', 'reject', 'keep')
+ * @returns {Object} Vocabulary { tags, lookup, unknown }
+ */
+function buildVocabulary(entries, unknown = 'review') {
+  const tags = [];
+  const lookup = new Map();
+
+  for (const [name, entry] of Object.entries(entries)) {
+    const tag = name.trim().replace(/^#/, '');
+    const { synonyms = [], aliases = [] } = entry || {};
+    tags.push(tag);
+
+    for (const word of [tag, ...synonyms, ...aliases]) {
+      const key = tagKey(word);
+      if (lookup.has(key) && lookup.get(key) !== tag) {
+        throw new Error(`"${word}" is listed for both ${lookup.get(key)} and ${tag}`);
+      }
+      lookup.set(key, tag);
+    }
+  }
+
+  const leaves = new Map();
+  for (const tag of tags.filter(tag => tag.includes('/'))) {
+    const key = tagKey(tag.split('/').pop());
+    leaves.set(key, [...(leaves.get(key) || []), tag]);
+  }
+  for (const [key, owners] of leaves) {
+    if (owners.length === 1 && !lookup.has(key)) {
+      lookup.set(key, owners[0]);
+    }
+  }
+
+  return { tags, lookup, unknown };
+}
+
+/**
+ * Map suggested tags onto the vocabulary
+ * @param {Array<string>} suggested - Tags as suggested
+ * @param {Object|null} vocabulary - From loadVocabulary (null leaves the tags as they are)
+ * @returns {Object} { tags, unknown, mapped } - tags are canonical and de-duplicated, in suggested
+ *   order, and include the unknown ones unless the policy is 'reject'; mapped lists [{ from, to }]
+ */
+function mapTags(suggested = [], vocabulary = null) {
+  if (!vocabulary) {
+    return { tags: suggested, unknown: [], mapped: [] };
+  }
+
+  const tags = [];
+  const unknown = [];
+  const mapped = [];
+  for (const raw of suggested) {
+    const name = String(raw).trim().replace(/^#/, '');
+    if (!name) continue;
+
+    const canonical = vocabulary.lookup.get(tagKey(name));
+    if (canonical) {
+      if (canonical !== name) mapped.push({ from: name, to: canonical });
+      if (!tags.includes(canonical)) tags.push(canonical);
+      continue;
+    }
+
+    if (!unknown.includes(name)) unknown.push(name);
+    if (vocabulary.unknown !== 'reject' && !tags.includes(name)) tags.push(name);
+  }
+
+  return { tags, unknown, mapped };
+}
+
+/**
+ * Lookup key of a tag: lowercase, words joined by "-", simple plurals folded per segment
+ * ("#Photos" and "photo" share a key, as do "Machine Learning" and "machine_learning")
+ * @param {string} tag - Tag
+ * @returns {string} Key
+ */
+function tagKey(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase()
+    .split('/')
+    .map(segment => segment.trim().replace(/[\s_-]+/g, '-').replace(/^-|-$/g, ''))
+    .map(segment => segment.length > 4 ? segment.replace(/s$/, '') : segment)
+    .join('/');
+}
+
+module.exports = {
+  loadVocabulary,
+  buildVocabulary,
+  mapTags,
+  tagKey
+};
@@ -6,7 +6,7 @@
  */
 
 const { captureNote } = require('./capture');
-const { formatVaultNote } = require('./vault-formatter');
+const { formatVaultNote } = require('./formatter');
 
 /**
  * Handle a Telegram message and check for /capture command
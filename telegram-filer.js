@@ -125,7 +125,9 @@ function formatFilingResults(results) {
     
     for (const detail of results.details.slice(0, 10)) {
       if (detail.action === 'filed') {
-        lines.push(`✅ ${detail.path} → ${detail.targetPath}`);
+        const links = detail.linksUpdated ? ` (🔗 ${detail.linksUpdated} notes relinked)` : '';
+        const attachments = detail.attachmentsMoved ? ` (📎 ${detail.attachmentsMoved} attachments)` : '';
+        lines.push(`✅ ${detail.path} → ${detail.targetPath}${links}${attachments}`);
       } else if (detail.action === 'queued') {
         lines.push(`📋 ${detail.path} → review queue (${detail.reason})`);
       } else if (detail.action === 'skipped') {
@@ -5,7 +5,7 @@
  * Usage: Called by OpenClaw when /process is received
  */
 
-const { processInbox } = require('./processor');
+const { processInbox, formatUsage } = require('./processor');
 
 /**
  * Handle /process command from Telegram
@@ -21,13 +21,18 @@ async function handleProcessCommand(message = {}) {
   //   /process limit=5
   //   /process model=claude
   //   /process dryrun
+  //   /process explain
+  //   /process force nocache
   
   const options = {
     limit: 10,
     model: 'qwen2.5-coder:7b',
     dryRun: false,
-    force: false
+    force: false,
+    explain: false,
+    useCache: true
   };
+  let limitGiven = false;
   
   // Parse arguments
   const args = text.split(/\s+/).slice(1); // Skip "/process"
@@ -37,6 +42,7 @@ async function handleProcessCommand(message = {}) {
       const [key, value] = arg.split('=');
       if (key === 'limit') {
         options.limit = parseInt(value, 10);
+        limitGiven = true;
       } else if (key === 'model') {
         options.model = value;
       }
@@ -44,9 +50,18 @@ async function handleProcessCommand(message = {}) {
       options.dryRun = true;
     } else if (arg.toLowerCase() === 'force') {
       options.force = true;
+    } else if (arg.toLowerCase() === 'explain') {
+      options.explain = true;
+    } else if (arg.toLowerCase() === 'nocache') {
+      options.useCache = false;
     }
   }
   
+  // Prompts are long - explain one note unless asked for more
+  if (options.explain && !limitGiven) {
+    options.limit = 1;
+  }
+  
   try {
     // Run processor
     console.log('🚀 Starting inbox processor...');
@@ -72,6 +87,10 @@ async function handleProcessCommand(message = {}) {
  * @returns {string} Formatted message
  */
 function formatResults(results, options) {
+  if (options.explain) {
+    return formatExplain(results);
+  }
+  
   const lines = [];
   
   if (options.dryRun) {
@@ -81,7 +100,17 @@ function formatResults(results, options) {
   lines.push('📊 **Processing Complete**\n');
   lines.push(`✅ Processed: ${results.processed}`);
   lines.push(`⏭️ Skipped: ${results.skipped}`);
-  lines.push(`❌ Failed: ${results.failed}\n`);
+  lines.push(`❌ Failed: ${results.failed}`);
+  if (results.cache && results.cache.hits + results.cache.misses > 0) {
+    lines.push(`💾 Cache: ${results.cache.hits} hits, ${results.cache.misses} misses`);
+  }
+  if (results.usage && results.usage.run.calls > 0) {
+    lines.push(`💰 AI usage: ${formatUsage(results.usage)}`);
+  }
+  if (results.usage && results.usage.month.exceeded) {
+    lines.push('⚠️ Monthly AI budget reached - local models only');
+  }
+  lines.push('');
   
   // Show details for processed notes
   if (results.processed > 0) {
@@ -97,6 +126,15 @@ function formatResults(results, options) {
         lines.push(`   📁 → ${folder}`);
         lines.push(`   🏷️ ${tags}`);
         lines.push(`   📊 ${note.analysis.confidence} confidence`);
+        if (note.unknownTags) {
+          lines.push(`   ❓ Not in tag vocabulary: ${note.unknownTags.join(', ')}`);
+        }
+        if (note.validationErrors) {
+          lines.push(`   🔧 Reply repaired (${note.validationErrors.length} problem${note.validationErrors.length === 1 ? '' : 's'})`);
+        }
+        if (note.conflictPath) {
+          lines.push(`   ⚠️ Edited meanwhile - saved as ${note.conflictPath}`);
+        }
       }
     }
   }
@@ -122,6 +160,34 @@ function formatResults(results, options) {
   return lines.join('\n');
 }
 
+/**
+ * Format rendered prompts from an explain run
+ * @param {Object} results - Processing results with explained notes
+ * @returns {string} Formatted message
+ */
+function formatExplain(results) {
+  const explained = results.notes.filter(note => note.status === 'explained');
+  const lines = ['🔎 **Prompt Preview** - No model called, no changes made'];
+  
+  if (explained.length === 0) {
+    lines.push('\nNo unprocessed notes to explain (add `force` to include processed ones)');
+  }
+  
+  for (const note of explained) {
+    lines.push(`\n📝 ${note.path}`);
+    lines.push(`📄 Template: ${note.template} (${note.file})`);
+    lines.push('```');
+    lines.push(note.prompt);
+    lines.push('```');
+  }
+  
+  for (const note of results.notes.filter(note => note.status === 'failed')) {
+    lines.push(`❌ ${note.path}: ${note.error}`);
+  }
+  
+  return lines.join('\n');
+}
+
 /**
  * Main entry point when called directly
  */
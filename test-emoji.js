@@ -1,20 +1,20 @@
 #!/usr/bin/env node
 /**
- * Test emoji sanitization end-to-end
- * Creates a note with emojis, processes it, verifies sanitization
+ * Test emoji handling end-to-end
+ * Creates a note with emojis, processes it, verifies they survive untouched
  */
 
-const VaultClient = require('./vault-client');
+const { createVaultClient } = require('./vault-backend');
 const { processInbox } = require('./processor');
 const loadConfig = require('./config');
 
-async function testEmojiSanitization() {
-  console.log('🧪 Testing Emoji Sanitization End-to-End\n');
+async function testEmojiRoundTrip() {
+  console.log('🧪 Testing Emoji Round-Trip End-to-End\n');
   
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   
-  const testPath = 'inbox/test-emoji-sanitization.md';
+  const testPath = 'inbox/test-emoji-roundtrip.md';
   
   try {
     // Step 1: Create a note with lots of emojis
@@ -48,7 +48,7 @@ Next steps 👉:
     await vaultClient.writeNote(testPath, noteContent);
     console.log(`✅ Created test note: ${testPath}\n`);
     
-    // Step 2: Read it back to verify it was sanitized on write
+    // Step 2: Read it back to verify it was stored unchanged
     console.log('Step 2: Reading note back from CouchDB...');
     const readNote = await vaultClient.readNote(testPath);
     console.log('Note content after write:');
@@ -56,10 +56,13 @@ Next steps 👉:
     console.log(readNote.content);
     console.log('-'.repeat(60));
     
-    // Check for emoji sanitization
-    const hasEmojis = /[\u{1F300}-\u{1F9FF}]/gu.test(readNote.content);
-    console.log(`\n✅ Emojis removed: ${!hasEmojis ? 'YES' : 'NO (FAIL)'}`);
-    console.log(`✅ Contains replacements: ${readNote.content.includes('[DONE]') ? 'YES' : 'NO'}\n`);
+    // Check content survived the write byte-for-byte
+    const unchanged = readNote.content === noteContent;
+    console.log(`\n✅ Content unchanged: ${unchanged ? 'YES' : 'NO (FAIL)'}`);
+    if (!unchanged) {
+      throw new Error('Note content was altered on write');
+    }
+    console.log('');
     
     // Step 3: Process with AI
     console.log('Step 3: Processing with AI...');
@@ -88,9 +91,9 @@ Next steps 👉:
       console.log(`  Confidence: ${frontmatter.ai_suggestions.confidence}`);
     }
     
-    // Step 5: Verify no emojis in final version
-    const finalHasEmojis = /[\u{1F300}-\u{1F9FF}]/gu.test(finalNote.content);
-    console.log(`\n✅ Final note emoji-free: ${!finalHasEmojis ? 'YES' : 'NO (FAIL)'}`);
+    // Step 5: Verify emojis survived processing
+    const finalKeepsEmojis = body.includes('🎯🔥✅') && body.includes('📸');
+    console.log(`\n✅ Final note keeps emojis: ${finalKeepsEmojis ? 'YES' : 'NO (FAIL)'}`);
     
     // Clean up
     console.log('\nStep 5: Cleaning up...');
@@ -98,7 +101,7 @@ Next steps 👉:
     console.log('✅ Test note deleted\n');
     
     console.log('='.repeat(60));
-    console.log('🎉 Emoji Sanitization Test Complete!');
+    console.log('🎉 Emoji Round-Trip Test Complete!');
     console.log('='.repeat(60));
     
   } catch (err) {
@@ -117,4 +120,4 @@ Next steps 👉:
 }
 
 // Run test
-testEmojiSanitization();
+testEmojiRoundTrip();
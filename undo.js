@@ -4,12 +4,9 @@
  */
 
 const fs = require('fs').promises;
-const path = require('path');
-const VaultClient = require('./vault-client');
+const { createVaultClient, isLiveNote } = require('./vault-backend');
 const loadConfig = require('./config');
 
-const HISTORY_PATH = path.join(__dirname, 'filing-history.json');
-
 /**
  * Track a file operation for undo capability
  * @param {string} sessionId - Session ID
@@ -42,7 +39,7 @@ async function trackOperation(sessionId, operation) {
  */
 async function undoLastFiling(sessionId) {
   const config = loadConfig();
-  const vaultClient = new VaultClient(config.couchdb);
+  const vaultClient = createVaultClient(config);
   const history = await loadHistory();
   
   if (!history.sessions || !history.sessions[sessionId]) {
@@ -95,17 +92,33 @@ async function undoLastFiling(sessionId) {
  */
 async function undoOperation(vaultClient, operation) {
   if (operation.action === 'file' || operation.action === 'queue') {
-    // Restore original note
-    await vaultClient.writeNote(operation.originalPath, operation.originalContent);
-    
-    // Delete target note
+    // Move the note back with its original content (and links, if filing rewrote them)
+    const linksUpdated = operation.linksUpdated || [];
     try {
-      await vaultClient.deleteNote(operation.targetPath);
+      await vaultClient.moveNote(operation.targetPath, operation.originalPath, {
+        content: operation.originalContent,
+        updateLinks: linksUpdated.length > 0
+      });
     } catch (err) {
-      // Target might already be deleted, that's ok
-      if (!err.message.includes('404')) {
+      // Target might already be deleted, that's ok - just restore the original
+      if (err.statusCode !== 404) {
         throw err;
       }
+      const existing = await vaultClient.readNote(operation.originalPath);
+      await vaultClient.writeNote(operation.originalPath, operation.originalContent, {
+        base: isLiveNote(existing) ? existing : null
+      });
+    }
+    
+    // Put embedded attachments back where they were
+    for (const move of [...(operation.attachmentsMoved || [])].reverse()) {
+      try {
+        await vaultClient.moveNote(move.to, move.from, { updateLinks: linksUpdated.length > 0 });
+      } catch (err) {
+        if (err.statusCode !== 404) {
+          throw err;
+        }
+      }
     }
   } else {
     throw new Error(`Unknown operation type: ${operation.action}`);
@@ -162,7 +175,7 @@ async function getSession(sessionId) {
  */
 async function loadHistory() {
   try {
-    const raw = await fs.readFile(HISTORY_PATH, 'utf8');
+    const raw = await fs.readFile(loadConfig().filer.historyPath, 'utf8');
     return JSON.parse(raw);
   } catch (err) {
     if (err.code === 'ENOENT') {
@@ -187,7 +200,7 @@ async function saveHistory(history) {
   }
   
   const json = JSON.stringify(history, null, 2);
-  await fs.writeFile(HISTORY_PATH, json, 'utf8');
+  await fs.writeFile(loadConfig().filer.historyPath, json, 'utf8');
 }
 
 /**
@@ -195,7 +208,7 @@ async function saveHistory(history) {
  * @returns {Promise<void>}
  */
 async function clearHistory() {
-  await fs.writeFile(HISTORY_PATH, JSON.stringify({ sessions: {}, version: 1 }, null, 2), 'utf8');
+  await fs.writeFile(loadConfig().filer.historyPath, JSON.stringify({ sessions: {}, version: 1 }, null, 2), 'utf8');
 }
 
 module.exports = {
@@ -0,0 +1,133 @@
+/**
+ * Usage - Token, latency and cost accounting for AI calls
+ * Calls are totalled per day in ai-usage.json; the month's estimated spend is checked
+ * against ai.usage.monthlyBudgetUsd before calling a paid provider
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * Estimate the cost of a call from the provider's pricing (USD per million tokens)
+ * pricing is keyed by model name, with "*" for any other model:
+ * { "*": { "input": 3, "output": 15 }, "claude-haiku-4-5": { "input": 1, "output": 5 } }
+ * @param {Object} providerConfig - Provider config (pricing)
+ * @param {string} model - Model name as sent to the provider
+ * @param {Object} tokens - { inputTokens, outputTokens }
+ * @returns {number} Estimated cost in USD (0 when the provider has no pricing)
+ */
+function estimateCost(providerConfig, model, tokens) {
+  const pricing = providerConfig && providerConfig.pricing;
+  const rates = pricing && (pricing[model] || pricing['*']);
+  if (!rates) return 0;
+
+  return ((tokens.inputTokens || 0) * (rates.input || 0) + (tokens.outputTokens || 0) * (rates.output || 0)) / 1e6;
+}
+
+/**
+ * Add up a list of calls
+ * @param {Array<Object>} calls - Calls with model, inputTokens, outputTokens, latencyMs, costUsd
+ * @returns {Object} Totals with calls, inputTokens, outputTokens, latencyMs, costUsd and byModel
+ */
+function summarizeCalls(calls) {
+  const totals = emptyTotals();
+  totals.byModel = {};
+
+  for (const call of calls) {
+    addCall(totals, call);
+    totals.byModel[call.model] = addCall(totals.byModel[call.model] || emptyTotals(), call);
+  }
+  return totals;
+}
+
+/**
+ * Add a call to the day's totals in the usage file
+ * @param {Object} call - Call with model, inputTokens, outputTokens, latencyMs, costUsd
+ * @param {Object} config - Full configuration (ai.usage)
+ * @param {Date} now - Time of the call
+ * @returns {Promise<void>}
+ */
+async function recordUsage(call, config, now = new Date()) {
+  const data = await loadUsage(config);
+  const day = now.toISOString().slice(0, 10);
+
+  const totals = data.days[day] || { ...emptyTotals(), byModel: {} };
+  addCall(totals, call);
+  totals.byModel[call.model] = addCall(totals.byModel[call.model] || emptyTotals(), call);
+  data.days[day] = totals;
+
+  await fs.writeFile(config.ai.usage.path, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Usage today and this month, with the monthly budget
+ * @param {Object} config - Full configuration (ai.usage)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { today, month: { ...totals, budgetUsd, exceeded } }
+ */
+async function getUsageSummary(config, now = new Date()) {
+  const data = await loadUsage(config);
+  const day = now.toISOString().slice(0, 10);
+  const monthPrefix = day.slice(0, 7);
+
+  const month = emptyTotals();
+  for (const [date, totals] of Object.entries(data.days)) {
+    if (date.startsWith(monthPrefix)) addCall(month, totals);
+  }
+
+  const budgetUsd = config.ai.usage.monthlyBudgetUsd;
+  return {
+    today: data.days[day] || { ...emptyTotals(), byModel: {} },
+    month: { ...month, budgetUsd, exceeded: budgetUsd > 0 && month.costUsd >= budgetUsd }
+  };
+}
+
+/**
+ * @returns {Object} Zeroed totals
+ */
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+}
+
+/**
+ * Add a call (or another set of totals) to totals
+ * @param {Object} totals - Totals to update
+ * @param {Object} call - Call, or totals with a calls count
+ * @returns {Object} The updated totals
+ */
+function addCall(totals, call) {
+  totals.calls += call.calls === undefined ? 1 : call.calls;
+  totals.inputTokens += call.inputTokens || 0;
+  totals.outputTokens += call.outputTokens || 0;
+  totals.latencyMs += call.latencyMs || 0;
+  totals.costUsd += call.costUsd || 0;
+  return totals;
+}
+
+/**
+ * Load the usage file
+ * @param {Object} config - Full configuration (ai.usage)
+ * @returns {Promise<Object>} { version, days }
+ */
+async function loadUsage(config) {
+  try {
+    const data = JSON.parse(await fs.readFile(config.ai.usage.path, 'utf8'));
+    return data.days ? data : { version: 1, days: {} };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { version: 1, days: {} };
+    }
+    // A damaged ledger must not stop every analysis - start a new one
+    if (err instanceof SyntaxError) {
+      console.warn(`⚠️  Ignoring unreadable usage file ${config.ai.usage.path}: ${err.message}`);
+      return { version: 1, days: {} };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  estimateCost,
+  summarizeCalls,
+  recordUsage,
+  getUsageSummary
+};
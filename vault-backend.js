@@ -0,0 +1,452 @@
+/**
+ * Vault Backend - Storage-agnostic base for vault clients
+ * Defines the note storage interface and shared frontmatter helpers
+ */
+
+const path = require('path');
+const { rewriteLinks, extractLinks } = require('./links');
+const { parseYaml, stringifyYaml } = require('./yaml');
+
+// Notes read per request when scanning the vault for links to a moved note
+const LINK_SCAN_BATCH_SIZE = 200;
+
+// Extensions LiveSync stores as text ("plain"); everything else is binary ("newnote")
+const PLAIN_TEXT_EXTENSIONS = new Set(['.md', '.txt', '.svg', '.html', '.csv', '.css', '.js', '.xml', '.canvas']);
+
+/**
+ * Base class for storage backends
+ * Subclasses implement readNote, writeNote, listNotes and deleteNote
+ * (and may override _moveNote for a cheaper move)
+ */
+class VaultBackend {
+  /**
+   * Read a note by path
+   * @param {string} path - Note path (e.g., "inbox/note.md")
+   * @returns {Promise<Object|null>} Note object with path, content, ctime, mtime, metadata
+   */
+  async readNote(path) {
+    throw new Error(`${this.constructor.name} does not implement readNote`);
+  }
+
+  /**
+   * Write or update a note
+   * @param {string} path - Note path
+   * @param {string} content - Note content
+   * @param {object} options - Additional options
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeNote(path, content, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement writeNote`);
+  }
+
+  /**
+   * Read many notes (backends with batch APIs override this)
+   * @param {Array<string>} paths - Note paths
+   * @returns {Promise<Array<Object|null>>} Notes in the same order as paths (null if missing)
+   */
+  async readNotes(paths) {
+    return Promise.all(paths.map(path => this.readNote(path)));
+  }
+
+  /**
+   * Write many notes (backends with batch APIs override this)
+   * @param {Array<Object>} entries - [{ path, content, options }]
+   * @returns {Promise<Array<Object>>} Per-note results with ok, id (or error)
+   */
+  async writeNotes(entries) {
+    const results = [];
+    for (const entry of entries) {
+      try {
+        results.push(await this.writeNote(entry.path, entry.content, entry.options));
+      } catch (err) {
+        results.push({ ok: false, id: entry.path, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Read a binary attachment (image, PDF, audio...)
+   * @param {string} path - Attachment path (e.g., "inbox/attachments/photo.png")
+   * @returns {Promise<Object|null>} Attachment with path, data (Buffer), type, ctime, mtime
+   */
+  async readAttachment(path) {
+    const attachment = await this.readNote(path);
+    if (!attachment || attachment.data) return attachment;
+
+    // Plain-text files can be read as attachments too
+    return { ...attachment, data: Buffer.from(attachment.content, 'utf8') };
+  }
+
+  /**
+   * Write a binary attachment
+   * @param {string} path - Attachment path
+   * @param {Buffer} data - File contents
+   * @param {object} options - Additional options
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async writeAttachment(path, data, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement writeAttachment`);
+  }
+
+  /**
+   * List live notes and attachments (no soft-deleted ones), sorted by path
+   * @param {Object} options - Listing options
+   * @param {string} options.prefix - Only paths starting with this (e.g. "inbox/")
+   * @param {number} options.since - Only entries modified at or after this time (ms)
+   * @param {number} options.limit - Max entries to return
+   * @param {number} options.skip - Entries to skip (after filtering)
+   * @returns {Promise<Array>} Array of objects with path, id, type ("plain" or "newnote"), mtime, size
+   */
+  async listNotes(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listNotes`);
+  }
+
+  /**
+   * List documents with unresolved revision conflicts
+   * Backends without revisions never have any
+   * @returns {Promise<Array>} [{ id, path, rev, conflicts }]
+   */
+  async listConflicts() {
+    return [];
+  }
+
+  /**
+   * List earlier revisions of a note, newest first
+   * Backends without revisions have no history
+   * @param {string} path - Note path
+   * @returns {Promise<Array>} [{ rev, available, restorable, deleted, mtime, size }]
+   */
+  async getNoteHistory(path) {
+    return [];
+  }
+
+  /**
+   * Read a note as it was at an earlier revision
+   * @param {string} path - Note path
+   * @param {string} rev - Revision from getNoteHistory
+   * @returns {Promise<Object|null>} Note object (plus rev), or null if the revision is a deletion
+   */
+  async readNoteAtRevision(path, rev) {
+    throw new Error(`${this.constructor.name} does not keep note revisions`);
+  }
+
+  /**
+   * Check the vault for orphaned chunks, missing chunks, wrong sizes and malformed metadata
+   * Backends that store whole files have nothing to check
+   * @param {Object} options - Check options
+   * @param {boolean} options.dryRun - Report only, change nothing
+   * @returns {Promise<Object>} Report with scanned, orphanChunks, missingChunks, badSizes, malformed, repaired, errors
+   */
+  async checkIntegrity(options = {}) {
+    const notes = await this.listNotes();
+    return {
+      dryRun: Boolean(options.dryRun),
+      scanned: { notes: notes.length, chunks: 0 },
+      orphanChunks: [],
+      missingChunks: [],
+      badSizes: [],
+      malformed: [],
+      repaired: { orphanChunks: 0, sizes: 0, metadata: 0 },
+      errors: []
+    };
+  }
+
+  /**
+   * Delete a note
+   * @param {string} path - Note path
+   * @returns {Promise<Object>} Result with ok
+   */
+  async deleteNote(path) {
+    throw new Error(`${this.constructor.name} does not implement deleteNote`);
+  }
+
+  /**
+   * Move or rename a note
+   * Backends override _moveNote to keep ctime and avoid a copy where they can
+   * @param {string} from - Current note path
+   * @param {string} to - New note path
+   * @param {Object} options - Move options
+   * @param {string} options.content - Replace the content while moving (optional)
+   * @param {boolean} options.updateLinks - Rewrite [[wikilinks]] in other notes
+   * @param {boolean} options.attachments - Also move ![[embedded]] files stored under the note's folder
+   * @returns {Promise<Object>} Result with ok, id, from, to, linksUpdated, attachmentsMoved
+   */
+  async moveNote(from, to, options = {}) {
+    const note = await this.readNote(from);
+    if (!isLiveNote(note)) {
+      const notFound = new Error(`Note not found (404): ${from}`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    // Same ID means a case-only rename of the same note
+    if (from.toLowerCase() !== to.toLowerCase() && isLiveNote(await this.readNote(to))) {
+      const exists = new Error(`Note already exists (409): ${to}`);
+      exists.statusCode = 409;
+      throw exists;
+    }
+
+    let content = options.content !== undefined ? options.content : note.content;
+
+    // Embeds pointing at the attachments' full paths are rewritten before the note moves
+    const attachmentMoves = options.attachments && content
+      ? await this._planAttachmentMoves(note.path, to, content)
+      : [];
+    for (const move of attachmentMoves) {
+      content = rewriteLinks(content, move.from, move.to).content;
+    }
+
+    const result = await this._moveNote(note, to, content);
+
+    const attachmentsMoved = [];
+    for (const move of attachmentMoves) {
+      const attachment = await this.readNote(move.from);
+      await this._moveNote(attachment, move.to, attachment.content);
+      attachmentsMoved.push(move);
+    }
+
+    const linksUpdated = [];
+    if (options.updateLinks) {
+      for (const move of [{ from, to }, ...attachmentsMoved]) {
+        linksUpdated.push(...await this._updateLinks(move.from, move.to));
+      }
+    }
+
+    return { ...result, from, to, linksUpdated: [...new Set(linksUpdated)], attachmentsMoved };
+  }
+
+  /**
+   * Work out where a moving note's embedded attachments should go
+   * Only files under the note's own folder move (shared attachment folders stay put),
+   * keeping their position relative to the note
+   * @param {string} from - Old note path
+   * @param {string} to - New note path
+   * @param {string} content - Note content with ![[embeds]]
+   * @returns {Promise<Array<Object>>} Planned moves as [{ from, to }]
+   */
+  async _planAttachmentMoves(from, to, content) {
+    const fromDir = path.posix.dirname(from);
+    const toDir = path.posix.dirname(to);
+    if (fromDir === toDir) return [];
+
+    const targets = [...new Set(
+      extractLinks(content)
+        .filter(link => link.embed && !isPlainTextPath(link.target))
+        .map(link => link.target)
+    )];
+    if (targets.length === 0) return [];
+
+    // Obsidian resolves bare names anywhere in the vault - prefer the note's own folder
+    const attachments = (await this.listNotes({ prefix: fromDir === '.' ? '' : `${fromDir}/` }))
+      .filter(entry => entry.type === 'newnote');
+    const insideNoteFolder = attachmentPath => fromDir === '.' || attachmentPath.startsWith(`${fromDir}/`);
+
+    const moves = [];
+    for (const target of targets) {
+      const match = target.includes('/')
+        ? attachments.find(entry => entry.path.toLowerCase() === target.toLowerCase())
+        : attachments.find(entry =>
+          insideNoteFolder(entry.path) && path.posix.basename(entry.path).toLowerCase() === target.toLowerCase());
+
+      if (!match || !insideNoteFolder(match.path)) continue;
+
+      const relative = fromDir === '.' ? match.path : path.posix.relative(fromDir, match.path);
+      let destination = path.posix.join(toDir, relative);
+
+      // Never overwrite an attachment already at the destination
+      const parsed = path.posix.parse(destination);
+      for (let counter = 1; isLiveNote(await this.readNote(destination)); counter++) {
+        if (counter > 100) {
+          throw new Error(`Too many collisions for ${destination}`);
+        }
+        destination = path.posix.join(parsed.dir, `${parsed.name}-${counter}${parsed.ext}`);
+      }
+
+      moves.push({ from: match.path, to: destination });
+    }
+
+    return moves;
+  }
+
+  /**
+   * Backend move step: write the new path and remove the old one
+   * @param {Object} note - Note being moved (from readNote)
+   * @param {string} to - New note path
+   * @param {string|null} content - Content for the new path (null for binary attachments)
+   * @returns {Promise<Object>} Result with ok, id
+   */
+  async _moveNote(note, to, content) {
+    const result = note.data && content === null
+      ? await this.writeAttachment(to, note.data)
+      : await this.writeNote(to, content);
+    if (note.path.toLowerCase() !== to.toLowerCase()) {
+      await this.deleteNote(note.path);
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite [[wikilinks]] pointing at a moved note in every other note
+   * @param {string} from - Old note path
+   * @param {string} to - New note path
+   * @returns {Promise<Array<string>>} Paths of notes whose links were rewritten
+   */
+  async _updateLinks(from, to) {
+    const paths = (await this.listNotes())
+      .map(note => note.path)
+      .filter(notePath => notePath.endsWith('.md') && notePath.toLowerCase() !== to.toLowerCase());
+
+    const updated = [];
+    for (let i = 0; i < paths.length; i += LINK_SCAN_BATCH_SIZE) {
+      const notes = await this.readNotes(paths.slice(i, i + LINK_SCAN_BATCH_SIZE));
+      const entries = [];
+
+      for (const note of notes) {
+        if (!note || !note.content || !note.content.includes('[[')) continue;
+
+        const rewritten = rewriteLinks(note.content, from, to);
+        if (rewritten.count > 0) {
+          entries.push({ path: note.path, content: rewritten.content, options: { base: note } });
+        }
+      }
+
+      if (entries.length === 0) continue;
+
+      const results = await this.writeNotes(entries);
+      results.forEach((result, index) => {
+        if (result.ok) {
+          updated.push(entries[index].path);
+        } else {
+          console.warn(`⚠️  Could not update links in ${entries[index].path}: ${result.error}`);
+        }
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Parse YAML frontmatter from note content
+   * Handles nested objects, block and flow lists, quoted and multi-line strings
+   * @param {string} content - Note content with optional frontmatter
+   * @returns {Object} { frontmatter: Object, body: string }
+   */
+  parseFrontmatter(content) {
+    const lines = content.split('\n');
+    
+    // Check if starts with frontmatter delimiter
+    if (lines[0] !== '---') {
+      return { frontmatter: {}, body: content };
+    }
+
+    // Find closing delimiter
+    let endIndex = -1;
+    for (let i = 1; i < lines.length; i++) {
+      if (lines[i].trim() === '---' && lines[i].match(/^(---\s*)$/)) {
+        endIndex = i;
+        break;
+      }
+    }
+
+    if (endIndex === -1) {
+      // No closing delimiter, treat as regular content
+      return { frontmatter: {}, body: content };
+    }
+
+    // Parse frontmatter (keeps the original text so unchanged properties round-trip)
+    const yamlLines = lines.slice(1, endIndex);
+    const frontmatter = parseYaml(yamlLines.join('\n'));
+
+    // Body is everything after the closing delimiter
+    const body = lines.slice(endIndex + 1).join('\n');
+
+    return { frontmatter, body };
+  }
+
+  /**
+   * Build note content from frontmatter and body
+   * @param {Object} frontmatter - Frontmatter object
+   * @param {string} body - Note body
+   * @returns {string} Complete note content with YAML frontmatter
+   */
+  buildNote(frontmatter, body) {
+    if (!frontmatter || Object.keys(frontmatter).length === 0) {
+      return body;
+    }
+
+    const yaml = stringifyYaml(frontmatter);
+    
+    return ['---', ...(yaml === '' ? [] : [yaml]), '---'].join('\n') + '\n' + body;
+  }
+}
+
+/**
+ * Check whether a path is stored as text (LiveSync "plain") rather than binary
+ * @param {string} notePath - Note or attachment path
+ * @returns {boolean} True for text files such as .md
+ */
+function isPlainTextPath(notePath) {
+  const dot = notePath.lastIndexOf('.');
+  return dot !== -1 && PLAIN_TEXT_EXTENSIONS.has(notePath.slice(dot).toLowerCase());
+}
+
+/**
+ * Check that a note exists and isn't a soft-deleted placeholder
+ * @param {Object|null} note - Note object from readNote
+ * @returns {boolean} True if the note exists
+ */
+function isLiveNote(note) {
+  return Boolean(note) && !(note.metadata && note.metadata.deleted);
+}
+
+/**
+ * Apply listNotes options to a full listing (for backends that can't query by range)
+ * @param {Array} notes - Listing entries with path and mtime
+ * @param {Object} options - { prefix, since, limit, skip } as for listNotes
+ * @returns {Array} Matching entries sorted by path
+ */
+function filterNoteList(notes, options = {}) {
+  const { prefix = '', since = null, limit = Infinity, skip = 0 } = options;
+
+  return notes
+    .filter(note => note.path.startsWith(prefix))
+    .filter(note => since === null || note.mtime >= since)
+    .sort((a, b) => (a.path.toLowerCase() < b.path.toLowerCase() ? -1 : 1))
+    .slice(skip, skip + limit);
+}
+
+/**
+ * Create the vault client for the configured storage backend
+ * @param {Object} config - Full configuration (from loadConfig)
+ * @returns {VaultBackend} Vault client instance
+ */
+function createVaultClient(config) {
+  const backend = (config.vault && config.vault.backend) || 'couchdb';
+
+  if (backend === 'couchdb') {
+    const VaultClient = require('./vault-client');
+    return new VaultClient(config.couchdb);
+  }
+
+  if (backend === 'filesystem') {
+    const FsVaultClient = require('./fs-vault-client');
+    return new FsVaultClient(config.vault);
+  }
+
+  if (backend === 'memory') {
+    // Shared per process so every module sees the same in-memory vault
+    const MemoryVaultClient = require('./memory-vault-client');
+    return MemoryVaultClient.shared(config.vault.path || 'default');
+  }
+
+  throw new Error(`Unknown vault backend: ${backend}`);
+}
+
+module.exports = {
+  VaultBackend,
+  createVaultClient,
+  isLiveNote,
+  isPlainTextPath,
+  filterNoteList
+};
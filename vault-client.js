@@ -1,14 +1,23 @@
 /**
  * Vault Client - CouchDB interaction utilities
- * Enhanced with frontmatter parsing for Phase 2
+ * Self-hosted LiveSync storage backend (frontmatter helpers live in VaultBackend)
  */
 
 const nano = require('nano');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const e2ee = require('./e2ee');
+const { VaultBackend, isPlainTextPath } = require('./vault-backend');
+const { mergeNote } = require('./merge');
+const { withRetry } = require('./retry');
+
+// Documents per _all_docs page when listing notes
+const LIST_PAGE_SIZE = 1000;
 
 /**
- * Sanitize Unicode characters to prevent LiveSync corruption
- * LiveSync counts byte length vs string length differently for multibyte UTF-8
+ * Sanitize Unicode characters to ASCII
+ * No longer needed for LiveSync compatibility (chunks and sizes are byte-accurate);
+ * only applied on write when couchdb.sanitizeUnicode is enabled in config
  * @param {string} text - Text to sanitize
  * @returns {string} - ASCII-safe text
  */
@@ -33,12 +42,55 @@ function sanitizeUnicode(text) {
     .replace(/[^\x00-\x7F]/g, '');
 }
 
-class VaultClient {
+/**
+ * Build the CouchDB server URL from config
+ * couchdb.url wins if set (e.g. "https://couch.example.com/couchdb"); otherwise it's
+ * assembled from protocol, host and port. Credentials are percent-encoded, so
+ * passwords may contain "@", ":" or "/"
+ * @param {Object} config - couchdb config
+ * @returns {string} Server URL with credentials
+ */
+function buildCouchUrl(config) {
+  const url = new URL(config.url || `${config.protocol || 'http'}://${config.host}:${config.port}`);
+  if (!/^https?:$/.test(url.protocol)) {
+    throw new Error(`Unsupported CouchDB protocol: ${url.protocol} (use http or https)`);
+  }
+
+  // The URL setters percent-encode anything that isn't allowed in userinfo
+  if (config.username) {
+    url.username = config.username;
+    url.password = config.password || '';
+  }
+  return url.toString().replace(/\/$/, '');
+}
+
+class VaultClient extends VaultBackend {
   constructor(config) {
-    const auth = `${config.username}:${config.password}`;
-    const couchUrl = `http://${auth}@${config.host}:${config.port}`;
-    this.nano = nano(couchUrl);
+    super();
+    this.nano = nano({
+      url: buildCouchUrl(config),
+      // Without this nano takes the last path segment of the URL (e.g. a reverse
+      // proxy prefix like "/couchdb") as the database name
+      parseUrl: false,
+      requestDefaults: { timeout: config.timeoutMs || 30000 }
+    });
     this.db = this.nano.db.use(config.database);
+    this.retryPolicy = {
+      retries: config.requestRetries !== undefined ? config.requestRetries : 4,
+      baseDelayMs: config.retryBaseDelayMs || 500,
+      maxDelayMs: config.retryMaxDelayMs || 10000,
+      onRetry: (err, attempt, delayMs) => {
+        console.warn(`⚠️  CouchDB request failed (${err.statusCode || err.code || err.message}), retry ${attempt} in ${delayMs}ms`);
+      }
+    };
+    this.sanitize = config.sanitizeUnicode === true;
+    this.chunkSize = config.chunkSize || 50000;
+    this.conflictRetries = config.conflictRetries !== undefined ? config.conflictRetries : 3;
+    
+    // End-to-end encryption (LiveSync-compatible)
+    this.passphrase = config.passphrase || null;
+    this.obfuscatePaths = Boolean(this.passphrase && config.obfuscatePaths);
+    this._salt = this.passphrase ? crypto.randomBytes(e2ee.SALT_LENGTH) : null;
   }
 
   /**
@@ -47,324 +99,524 @@ class VaultClient {
    * @returns {Promise<Object|null>} Note object with path, content, metadata
    */
   async readNote(path) {
-    try {
-      const docId = this._pathToId(path);
-      const metadata = await this.db.get(docId);
-      
-      // Check if encrypted
-      if (metadata.e_) {
-        throw new Error('Note is encrypted - E2EE must be disabled');
-      }
+    const [note] = await this.readNotes([path]);
+    return note;
+  }
 
-      // Reconstruct content from chunks
-      const chunks = await Promise.all(
-        metadata.children.map(chunkId => this.db.get(chunkId))
-      );
+  /**
+   * Read many notes in two requests (metadata, then all chunks) via _all_docs?keys=
+   * Binary documents come back with content: null and their bytes in data
+   * @param {Array<string>} paths - Note paths
+   * @returns {Promise<Array<Object|null>>} Notes in the same order as paths (null if missing)
+   */
+  async readNotes(paths) {
+    if (paths.length === 0) return [];
 
-      const content = chunks
-        .map(chunk => chunk.data || '')
-        .join('');
+    const metaResult = await this._request('fetch', { keys: paths.map(p => this._pathToId(p)) });
+    const metadataDocs = metaResult.rows.map(row => (row.doc ? row.doc : null));
 
-      return {
-        path: metadata.path,
-        content,
-        ctime: metadata.ctime,
-        mtime: metadata.mtime,
-        metadata
-      };
-    } catch (err) {
-      if (err.statusCode === 404) {
-        return null;
+    // Fetch every chunk referenced by any of the notes at once
+    const chunkIds = [...new Set(
+      metadataDocs.filter(Boolean).flatMap(doc => doc.children || [])
+    )];
+    const chunks = new Map();
+    if (chunkIds.length > 0) {
+      const chunkResult = await this._request('fetch', { keys: chunkIds });
+      for (const row of chunkResult.rows) {
+        if (row.doc) chunks.set(row.id, row.doc);
       }
-      throw err;
     }
+
+    return metadataDocs.map(metadata => {
+      if (!metadata) return null;
+
+      const children = metadata.children || [];
+      // A note with a missing chunk can't be reconstructed
+      if (children.some(chunkId => !chunks.has(chunkId))) return null;
+
+      return this._assembleNote(metadata, chunks);
+    });
   }
 
   /**
-   * Write or update a note (with Unicode sanitization)
+   * List the revisions CouchDB still has for a note, newest first
+   * Revisions removed by compaction are listed with available: false, and
+   * restorable is false when the revision's chunks no longer exist (e.g. after gc)
    * @param {string} path - Note path
-   * @param {string} content - Note content (will be sanitized)
-   * @param {object} options - Additional options
-   * @returns {Promise<Object>} Result with ok, id, rev
+   * @returns {Promise<Array>} [{ rev, available, restorable, deleted, mtime, size }]
    */
-  async writeNote(path, content, options = {}) {
-    // CRITICAL: Sanitize Unicode to prevent CouchDB corruption
-    const safeContent = sanitizeUnicode(content);
-    
+  async getNoteHistory(path) {
     const docId = this._pathToId(path);
-    const now = Date.now();
-    
-    // Check if note exists (for updates)
-    let existingDoc = null;
+    let current;
     try {
-      existingDoc = await this.db.get(docId);
+      current = await this._request('get', docId, { revs_info: true });
     } catch (err) {
-      if (err.statusCode !== 404) throw err;
+      if (err.statusCode === 404) return [];
+      throw err;
     }
 
-    // Split content into chunks (LiveSync uses ~50KB chunks)
-    const chunks = this._createChunks(safeContent);
-    
-    // Create chunk documents
-    const chunkIds = [];
-    for (const chunkData of chunks) {
-      const chunkId = this._createChunkId(chunkData);
-      chunkIds.push(chunkId);
-      
-      // Only write chunk if it doesn't exist (content-addressable)
-      try {
-        await this.db.get(chunkId);
-      } catch (err) {
-        if (err.statusCode === 404) {
-          await this.db.insert({
-            _id: chunkId,
-            type: 'leaf',
-            data: chunkData
-          });
-        }
+    const revisions = await Promise.all(current._revs_info.map(async info => {
+      if (info.status !== 'available') {
+        return { rev: info.rev, available: false };
       }
+      const doc = info.rev === current._rev ? current : await this._request('get', docId, { rev: info.rev });
+      return { rev: info.rev, doc };
+    }));
+
+    const chunkIds = [...new Set(
+      revisions.filter(revision => revision.doc).flatMap(revision => revision.doc.children || [])
+    )];
+    const existing = new Set();
+    if (chunkIds.length > 0) {
+      const chunkResult = await this._request('fetch', { keys: chunkIds });
+      chunkResult.rows.filter(row => row.doc).forEach(row => existing.add(row.id));
     }
 
-    // Create or update metadata document
-    const metadata = {
-      _id: docId,
-      ...(existingDoc && { _rev: existingDoc._rev }),
-      children: chunkIds,
-      path: path,
-      ctime: existingDoc ? existingDoc.ctime : now,
-      mtime: now,
-      size: safeContent.length,
-      type: options.type || 'plain',
-      eden: {}
-    };
+    return revisions.map(({ rev, doc, available }) => {
+      if (!doc) return { rev, available };
 
-    const result = await this.db.insert(metadata);
-    return { ok: true, id: result.id, rev: result.rev };
+      const properties = this._decodeMetadata(doc);
+      const deleted = Boolean(doc.deleted || doc._deleted);
+      return {
+        rev,
+        available: true,
+        restorable: !deleted && (doc.children || []).every(chunkId => existing.has(chunkId)),
+        deleted,
+        mtime: properties.mtime,
+        size: properties.size
+      };
+    });
   }
 
   /**
-   * List all notes (excluding chunks and system docs)
-   * @returns {Promise<Array>} Array of note objects with path, id, mtime, size
+   * Read a note as it was at an earlier revision (from getNoteHistory)
+   * @param {string} path - Note path
+   * @param {string} rev - Metadata document revision
+   * @returns {Promise<Object|null>} Note object (plus rev), or null if the revision is a deletion
    */
-  async listNotes() {
-    const result = await this.db.list({ include_docs: true });
-    return result.rows
-      .filter(row => !row.id.startsWith('h:') && !row.id.startsWith('_'))
-      .filter(row => row.id !== 'obsydian_livesync_version')
-      .map(row => ({
-        path: row.doc.path,
-        id: row.id,
-        mtime: row.doc.mtime,
-        size: row.doc.size
-      }));
+  async readNoteAtRevision(path, rev) {
+    let metadata;
+    try {
+      metadata = await this._request('get', this._pathToId(path), { rev });
+    } catch (err) {
+      if (err.statusCode === 404) {
+        const notFound = new Error(`Revision not found (404): ${path}@${rev}`);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw err;
+    }
+    if (metadata.deleted || metadata._deleted) return null;
+
+    const children = metadata.children || [];
+    const chunks = new Map();
+    if (children.length > 0) {
+      const chunkResult = await this._request('fetch', { keys: [...new Set(children)] });
+      chunkResult.rows.filter(row => row.doc).forEach(row => chunks.set(row.id, row.doc));
+    }
+
+    const missing = children.filter(chunkId => !chunks.has(chunkId));
+    if (missing.length > 0) {
+      const gone = new Error(`Revision ${rev} of ${path} can't be restored: ${missing.length} chunk(s) no longer exist`);
+      gone.statusCode = 410;
+      throw gone;
+    }
+
+    return { ...this._assembleNote(metadata, chunks), rev: metadata._rev };
   }
 
   /**
-   * Parse YAML frontmatter from note content
-   * Handles nested objects and arrays properly
-   * @param {string} content - Note content with optional frontmatter
-   * @returns {Object} { frontmatter: Object, body: string }
+   * Write or update a note
+   * Content is stored as-is unless couchdb.sanitizeUnicode is enabled.
+   * Pass the note you read as options.base to detect edits made since (e.g. by
+   * LiveSync): they are three-way merged, or if the edits overlap our content is
+   * saved to a "*.conflict.md" sibling instead and theirs is left in place. Without
+   * a base, a write that lands between our read of the revision and our update is
+   * a conflict with nothing to merge against, so it goes to the sibling too.
+   * @param {string} path - Note path
+   * @param {string} content - Note content
+   * @param {object} options - Additional options
+   * @param {Object} options.base - Note object from readNote that content was derived from
+   * @returns {Promise<Object>} Result with ok, id, rev (plus merged or conflictPath)
    */
-  parseFrontmatter(content) {
-    const lines = content.split('\n');
+  async writeNote(path, content, options = {}) {
+    let base = options.base || null;
+    let merged = false;
     
-    // Check if starts with frontmatter delimiter
-    if (lines[0] !== '---') {
-      return { frontmatter: {}, body: content };
-    }
-
-    // Find closing delimiter
-    let endIndex = -1;
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim() === '---' && lines[i].match(/^(---\s*)$/)) {
-        endIndex = i;
-        break;
+    for (let attempt = 0; ; attempt++) {
+      const [result] = await this.writeNotes([{ path, content, options: { ...options, base } }]);
+      
+      if (result.ok) {
+        return merged ? { ...result, merged } : result;
+      }
+      
+      if (result.error !== 'conflict' || attempt >= this.conflictRetries) {
+        const err = new Error(`Failed to write ${path}: ${result.error} (${result.reason})`);
+        err.statusCode = result.error === 'conflict' ? 409 : 500;
+        throw err;
+      }
+      
+      // Without a base we can't tell what changed, so theirs is kept as with overlapping edits
+      const current = base ? await this.readNote(path) : null;
+      const mergedContent = current && !current.metadata.deleted
+        ? mergeNote(base.content, content, current.content, this)
+        : null;
+      
+      if (mergedContent === null) {
+        const conflictPath = await this._conflictPath(path);
+        const conflictResult = await this.writeNote(conflictPath, content, { type: options.type });
+        return { ...conflictResult, conflictPath };
       }
+      
+      content = mergedContent;
+      base = current;
+      merged = true;
     }
+  }
 
-    if (endIndex === -1) {
-      // No closing delimiter, treat as regular content
-      return { frontmatter: {}, body: content };
+  /**
+   * Write or update many notes with one _bulk_docs request
+   * Existing metadata and chunks are looked up with two _all_docs?keys= requests
+   * @param {Array<Object>} entries - [{ path, content, options }]
+   * @returns {Promise<Array<Object>>} Per-note results with ok, id, rev (or error, reason)
+   */
+  async writeNotes(entries) {
+    if (entries.length === 0) return [];
+    
+    const now = Date.now();
+    const docIds = entries.map(entry => this._pathToId(entry.path));
+    
+    // Existing metadata (for _rev and ctime on updates)
+    const existingResult = await this._request('fetch', { keys: docIds });
+    const existingDocs = new Map();
+    for (const row of existingResult.rows) {
+      if (row.doc) existingDocs.set(row.id, row.doc);
     }
 
-    // Parse frontmatter (recursive parser for nested objects)
-    const yamlLines = lines.slice(1, endIndex);
-    const frontmatter = this._parseYamlBlock(yamlLines, 0).result;
+    // Split content into chunks (LiveSync uses ~50KB chunks, measured in bytes)
+    const prepared = entries.map(entry => {
+      const binary = Boolean(entry.options && entry.options.type === 'newnote');
+      const safeContent = this.sanitize && !binary ? sanitizeUnicode(entry.content) : entry.content;
+      const size = binary
+        ? Buffer.byteLength(safeContent, 'base64')
+        : Buffer.byteLength(safeContent, 'utf8');
+      // Keep base64 chunks on 4-character boundaries so each decodes on its own
+      const chunkSize = binary ? this.chunkSize - (this.chunkSize % 4) : this.chunkSize;
+      const chunks = this._createChunks(safeContent, chunkSize)
+        .map(data => ({ id: this._createChunkId(data), data }));
+      return { ...entry, safeContent, size, chunks };
+    });
+
+    const chunkDocs = await this._missingChunkDocs(prepared.flatMap(entry => entry.chunks));
 
-    // Body is everything after the closing delimiter
-    const body = lines.slice(endIndex + 1).join('\n');
+    // Create or update metadata documents
+    const metadataDocs = prepared.map((entry, i) => {
+      const existingDoc = existingDocs.get(docIds[i]);
+      const properties = {
+        path: entry.path,
+        ctime: existingDoc ? this._decodeMetadata(existingDoc).ctime : now,
+        mtime: now,
+        size: entry.size
+      };
+      
+      // Writing against the revision the caller read lets CouchDB catch concurrent edits
+      const base = entry.options && entry.options.base;
+      const rev = base ? base.metadata._rev : existingDoc && existingDoc._rev;
+      
+      return {
+        _id: docIds[i],
+        ...(rev && { _rev: rev }),
+        children: entry.chunks.map(chunk => chunk.id),
+        ...this._encodeMetadata(properties),
+        type: (entry.options && entry.options.type) || 'plain',
+        eden: {}
+      };
+    });
 
-    return { frontmatter, body };
+    const results = await this._request('bulk', { docs: [...chunkDocs, ...metadataDocs] });
+    
+    // A chunk conflict means another writer stored the same content first - that's fine
+    const chunkFailure = results
+      .slice(0, chunkDocs.length)
+      .find(result => result.error && result.error !== 'conflict');
+    if (chunkFailure) {
+      throw new Error(`Failed to write chunk ${chunkFailure.id}: ${chunkFailure.error} (${chunkFailure.reason})`);
+    }
+    
+    return results.slice(chunkDocs.length).map(result => (
+      result.error
+        ? { ok: false, id: result.id, error: result.error, reason: result.reason }
+        : { ok: true, id: result.id, rev: result.rev }
+    ));
   }
 
   /**
-   * Recursively parse a YAML block
-   * @param {Array} lines - Array of YAML lines
-   * @param {number} startIndex - Starting index
-   * @param {number} baseIndent - Base indentation level
-   * @returns {Object} { result: Object, index: number }
+   * Write a binary attachment as a LiveSync "newnote" document (base64 chunks)
+   * @param {string} path - Attachment path
+   * @param {Buffer} data - File contents
+   * @param {object} options - Additional options
+   * @returns {Promise<Object>} Result with ok, id, rev
    */
-  _parseYamlBlock(lines, startIndex, baseIndent = 0) {
-    const result = {};
-    let i = startIndex;
+  async writeAttachment(path, data, options = {}) {
+    return this.writeNote(path, Buffer.from(data).toString('base64'), { ...options, base: null, type: 'newnote' });
+  }
 
-    while (i < lines.length) {
-      const line = lines[i];
-      const indent = this._getIndentLevel(line);
+  /**
+   * List notes and attachments (excluding chunks, system docs and soft-deleted notes), sorted by ID
+   * Reads only the _all_docs key range for the prefix, a page at a time
+   * @param {Object} options - Listing options
+   * @param {string} options.prefix - Only paths starting with this (e.g. "inbox/")
+   * @param {number} options.since - Only entries modified at or after this time (ms)
+   * @param {number} options.limit - Max entries to return
+   * @param {number} options.skip - Entries to skip (after filtering)
+   * @returns {Promise<Array>} Array of objects with path, id, type ("plain" or "newnote"), mtime, size
+   */
+  async listNotes(options = {}) {
+    const { prefix = '', since = null, limit = Infinity, skip = 0 } = options;
 
-      // If we've gone back to base level or below, we're done with this block
-      if (indent < baseIndent && line.trim() !== '') {
-        break;
-      }
+    // IDs are lowercased paths, so a prefix is an ID range, and a full listing skips
+    // the chunks ("h:...") with two ranges. Obfuscated IDs are hashes - scan everything
+    let ranges;
+    if (this.obfuscatePaths) {
+      ranges = [{}];
+    } else if (prefix) {
+      const startkey = this._pathToId(prefix);
+      ranges = [{ startkey, endkey: `${startkey}\ufff0` }];
+    } else {
+      ranges = [{ endkey: 'h:' }, { startkey: 'h:\ufff0' }];
+    }
 
-      // Skip empty lines and comments at this level
-      if (line.trim() === '' || line.trim().startsWith('#')) {
-        i++;
-        continue;
-      }
+    const notes = [];
+    let skipped = 0;
 
-      // Match key: value patterns
-      // Handle both:
-      //   key: value (top level)
-      //   key:       (object start, next line is indented)
-      const match = line.match(/^(\s*)([\w_-]+):\s*(.*)$/);
-      if (!match) {
-        i++;
-        continue;
-      }
+    for (const range of ranges) {
+      let startkey = range.startkey;
+      let resume = false;
 
-      const [, , key, value] = match;
-      const currentIndent = this._getIndentLevel(line);
-
-      // Look ahead to determine if this is an object or value
-      const nextLine = lines[i + 1];
-      const nextIndent = nextLine ? this._getIndentLevel(nextLine) : -1;
-
-      if (value === '' && nextIndent > currentIndent) {
-        // This is a nested object
-        const nested = this._parseYamlBlock(lines, i + 1, nextIndent);
-        result[key] = nested.result;
-        i = nested.index;
-      } else {
-        // This is a simple value
-        result[key] = this._parseYamlValue(value);
-        i++;
+      while (notes.length < limit) {
+        const page = await this._request('list', {
+          include_docs: true,
+          limit: LIST_PAGE_SIZE,
+          ...(startkey !== undefined && { startkey }),
+          ...(range.endkey !== undefined && { endkey: range.endkey }),
+          ...(resume && { skip: 1 })
+        });
+
+        for (const row of page.rows) {
+          if (row.id.startsWith('h:') || row.id.startsWith('_') || row.id === 'obsydian_livesync_version') continue;
+          // LiveSync soft deletes leave the document behind with deleted: true
+          if (row.doc.deleted) continue;
+
+          const properties = this._decodeMetadata(row.doc);
+          // The ID range is case-insensitive; prefixes match paths exactly
+          if (!properties.path || !properties.path.startsWith(prefix)) continue;
+          if (since !== null && !(properties.mtime >= since)) continue;
+          if (skipped < skip) {
+            skipped++;
+            continue;
+          }
+
+          notes.push({
+            path: properties.path,
+            id: row.id,
+            type: row.doc.type || 'plain',
+            mtime: properties.mtime,
+            size: properties.size
+          });
+          if (notes.length >= limit) break;
+        }
+
+        if (page.rows.length < LIST_PAGE_SIZE) break;
+        startkey = page.rows[page.rows.length - 1].id;
+        resume = true;
       }
     }
 
-    return { result, index: i };
+    return notes;
   }
 
   /**
-   * Get indentation level (number of leading spaces)
-   * @param {string} line - Line to check
-   * @returns {number} Number of leading spaces
+   * List documents with unresolved revision conflicts (e.g. from LiveSync replication)
+   * @returns {Promise<Array>} [{ id, path, rev, conflicts }] (path is null for chunks)
    */
-  _getIndentLevel(line) {
-    const match = line.match(/^(\s*)/);
-    return match ? match[1].length : 0;
+  async listConflicts() {
+    const result = await this._request('list', { include_docs: true, conflicts: true });
+    return result.rows
+      .filter(row => row.doc && row.doc._conflicts && row.doc._conflicts.length > 0)
+      .filter(row => !row.id.startsWith('_'))
+      .map(row => ({
+        id: row.id,
+        path: row.doc.path ? this._decodeMetadata(row.doc).path : null,
+        rev: row.doc._rev,
+        conflicts: row.doc._conflicts
+      }));
   }
 
   /**
-   * Parse a YAML value into appropriate JS type
-   * @param {string} value - String value from YAML
-   * @returns {*} Parsed value
+   * Check every document for orphaned chunks, missing chunks, wrong sizes and
+   * malformed metadata, and repair what can be repaired
+   * Orphaned chunks are only deleted if nothing written during the scan references them.
+   * Chunks of losing conflict revisions, soft-deleted notes and earlier revisions CouchDB
+   * still has are kept, so conflicts can be merged and notes restored after a gc
+   * @param {Object} options - Check options
+   * @param {boolean} options.dryRun - Report only, change nothing
+   * @param {number} options.pageSize - Documents per _all_docs page (default: 500)
+   * @param {boolean} options.pruneHistory - Also delete chunks only earlier revisions use
+   *   (those revisions can't be restored afterwards; default: false)
+   * @param {number} options.concurrency - Documents whose revisions are looked up at once (default: 8)
+   * @returns {Promise<Object>} Report with scanned, orphanChunks, missingChunks, badSizes, malformed, repaired, errors
    */
-  _parseYamlValue(value) {
-    // Trim whitespace
-    value = value.trim();
+  async checkIntegrity(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const pageSize = options.pageSize || 500;
+    const report = {
+      dryRun,
+      scanned: { notes: 0, chunks: 0 },
+      orphanChunks: [],
+      missingChunks: [],
+      badSizes: [],
+      malformed: [],
+      repaired: { orphanChunks: 0, sizes: 0, metadata: 0 },
+      errors: []
+    };
+
+    // Anything written after this sequence is re-checked before chunks are deleted
+    const startSeq = (await this._request('info')).update_seq;
+
+    const chunks = new Map();
+    const referenced = new Set();
+    const noteDocs = [];
+    const revisionDocs = [];
+
+    for (let startkey = null; ;) {
+      const page = await this._request('list', {
+        include_docs: true,
+        conflicts: true,
+        limit: pageSize,
+        ...(startkey !== null && { startkey, skip: 1 })
+      });
+
+      for (const row of page.rows) {
+        const doc = row.doc;
+        if (!doc || row.id.startsWith('_')) continue;
 
-    // Empty string
-    if (value === '') {
-      return '';
+        if (row.id.startsWith('h:')) {
+          chunks.set(row.id, this._measureChunk(doc, report));
+        } else {
+          // Every document with children holds on to its chunks, including soft-deleted
+          // notes and LiveSync's hidden-file (i:) and plugin (ix:, ps:) documents
+          if (Array.isArray(doc.children)) {
+            doc.children.forEach(chunkId => referenced.add(chunkId));
+          }
+          revisionDocs.push(doc);
+          if (row.id !== 'obsydian_livesync_version' && !/^(i|ix|ps):/.test(row.id)) {
+            noteDocs.push(doc);
+          }
+        }
+      }
+
+      if (page.rows.length < pageSize) break;
+      startkey = page.rows[page.rows.length - 1].id;
     }
 
-    // Boolean
-    if (value === 'true') return true;
-    if (value === 'false') return false;
+    report.scanned.chunks = chunks.size;
+    report.scanned.notes = noteDocs.length;
+
+    // Revisions are one GET each - a few workers keep large vaults from taking a round trip per document
+    const pending = [...revisionDocs];
+    const workers = Array.from({ length: Math.min(options.concurrency || 8, pending.length) }, async () => {
+      while (pending.length > 0) {
+        await this._addRevisionChunks(pending.shift(), referenced, { history: !options.pruneHistory });
+      }
+    });
+    await Promise.all(workers);
 
-    // Number
-    if (value.match(/^-?\d+$/)) {
-      return parseInt(value, 10);
+    const fixes = [];
+    for (const doc of noteDocs) {
+      const fix = this._checkNoteDoc(doc, chunks, report);
+      if (fix) fixes.push(fix);
     }
-    if (value.match(/^-?\d+\.\d+$/)) {
-      return parseFloat(value);
+
+    // Chunks nobody references (e.g. left behind by deleteNote or overwritten content)
+    const changes = await this._request('changes', { since: startSeq, include_docs: true });
+    for (const change of changes.results) {
+      if (change.doc && Array.isArray(change.doc.children)) {
+        change.doc.children.forEach(chunkId => referenced.add(chunkId));
+      }
     }
+    report.orphanChunks = [...chunks.keys()].filter(chunkId => !referenced.has(chunkId));
 
-    // Array (inline format: [item1, item2])
-    if (value.startsWith('[') && value.endsWith(']')) {
-      const inner = value.slice(1, -1);
-      if (inner.trim() === '') return [];
-      
-      return inner.split(',').map(item => {
-        item = item.trim();
-        // Remove quotes if present
-        if ((item.startsWith('"') && item.endsWith('"')) ||
-            (item.startsWith("'") && item.endsWith("'"))) {
-          item = item.slice(1, -1);
+    if (dryRun) {
+      return report;
+    }
+
+    for (let i = 0; i < report.orphanChunks.length; i += pageSize) {
+      const docs = report.orphanChunks
+        .slice(i, i + pageSize)
+        .map(chunkId => ({ _id: chunkId, _rev: chunks.get(chunkId).rev, _deleted: true }));
+      const results = await this._request('bulk', { docs });
+      for (const result of results) {
+        if (result.error) {
+          report.errors.push({ id: result.id, error: `${result.error} (${result.reason})` });
+        } else {
+          report.repaired.orphanChunks++;
         }
-        return item;
-      });
+      }
     }
 
-    // String (remove surrounding quotes if present)
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && item.endsWith("'"))) {
-      return value.slice(1, -1);
+    for (let i = 0; i < fixes.length; i += pageSize) {
+      const batch = fixes.slice(i, i + pageSize);
+      const results = await this._request('bulk', { docs: batch.map(fix => fix.doc) });
+      results.forEach((result, index) => {
+        if (result.error) {
+          report.errors.push({ id: result.id, error: `${result.error} (${result.reason})` });
+        } else {
+          report.repaired[batch[index].kind]++;
+        }
+      });
     }
 
-    return value;
+    return report;
   }
 
   /**
-   * Build note content from frontmatter and body
-   * @param {Object} frontmatter - Frontmatter object
-   * @param {string} body - Note body
-   * @returns {string} Complete note content with YAML frontmatter
+   * Follow the CouchDB _changes feed for note documents
+   * Emits 'note' ({ path, id, mtime, deleted, seq }), 'seq' and 'error' events
+   * (nano's changes reader backs off and reconnects on its own after errors)
+   * @param {Object} options - Feed options
+   * @param {string} options.since - Sequence to resume from (default: 'now')
+   * @returns {EventEmitter} Emitter with a stop() method
    */
-  buildNote(frontmatter, body) {
-    if (!frontmatter || Object.keys(frontmatter).length === 0) {
-      return body;
-    }
+  watchChanges(options = {}) {
+    const emitter = new EventEmitter();
+    const reader = this.db.changesReader.start({
+      since: options.since || 'now',
+      includeDocs: true
+    });
 
-    const yamlLines = ['---'];
-    
-    for (const [key, value] of Object.entries(frontmatter)) {
-      this._addYamlField(yamlLines, key, value, 0);
-    }
-    
-    yamlLines.push('---');
-    
-    return yamlLines.join('\n') + '\n' + body;
-  }
+    reader.on('change', change => {
+      if (change.id.startsWith('h:') || change.id.startsWith('_')) return;
+      if (change.id === 'obsydian_livesync_version') return;
+      if (!change.doc || !change.doc.path) return;
 
-  /**
-   * Add a YAML field with proper formatting (handles nested objects)
-   * @param {Array} lines - Array of YAML lines
-   * @param {string} key - Field key
-   * @param {*} value - Field value
-   * @param {number} indent - Indentation level
-   */
-  _addYamlField(lines, key, value, indent = 0) {
-    const indentStr = '  '.repeat(indent);
-    
-    if (Array.isArray(value)) {
-      // Simple array on one line
-      lines.push(`${indentStr}${key}: [${value.join(', ')}]`);
-    } else if (typeof value === 'object' && value !== null) {
-      // Nested object
-      lines.push(`${indentStr}${key}:`);
-      for (const [subKey, subValue] of Object.entries(value)) {
-        this._addYamlField(lines, subKey, subValue, indent + 1);
+      try {
+        const properties = this._decodeMetadata(change.doc);
+        emitter.emit('note', {
+          path: properties.path,
+          id: change.id,
+          mtime: properties.mtime,
+          deleted: Boolean(change.deleted || change.doc.deleted),
+          seq: change.seq
+        });
+      } catch (err) {
+        emitter.emit('error', err);
       }
-    } else if (typeof value === 'boolean') {
-      lines.push(`${indentStr}${key}: ${value}`);
-    } else if (typeof value === 'number') {
-      lines.push(`${indentStr}${key}: ${value}`);
-    } else {
-      // String values
-      lines.push(`${indentStr}${key}: ${value}`);
-    }
+    });
+    reader.on('seq', seq => emitter.emit('seq', seq));
+    reader.on('error', err => emitter.emit('error', err));
+
+    emitter.stop = () => this.db.changesReader.stop();
+    return emitter;
   }
 
   /**
@@ -374,7 +626,7 @@ class VaultClient {
    */
   async deleteNote(path) {
     const docId = this._pathToId(path);
-    const doc = await this.db.get(docId);
+    const doc = await this._request('get', docId);
     
     // LiveSync soft delete: set deleted flag and clear content
     // Do NOT use db.destroy() - that's a CouchDB hard delete which
@@ -385,12 +637,285 @@ class VaultClient {
     doc.children = [];
     doc.mtime = Date.now();
     
-    await this.db.insert(doc);
+    await this._request('insert', doc);
     return { ok: true };
   }
 
   // ===== Private Helper Methods =====
 
+  /**
+   * Call a nano database method, retrying 5xx responses and socket errors with backoff
+   * Writes are safe to repeat: every update carries its _rev, so a write that did land
+   * before the connection dropped comes back as a conflict instead of being applied twice
+   * @param {string} method - nano method name (e.g. "fetch", "bulk")
+   * @param {...*} args - Method arguments
+   * @returns {Promise<*>} nano response
+   */
+  _request(method, ...args) {
+    return withRetry(() => this.db[method](...args), this.retryPolicy);
+  }
+
+  /**
+   * Build a note object from its metadata document and fetched chunks
+   * @param {Object} metadata - Metadata document
+   * @param {Map} chunks - Chunk documents by ID (must include every child)
+   * @returns {Object} Note object with path, content (or data), type, ctime, mtime, metadata
+   */
+  _assembleNote(metadata, chunks) {
+    const properties = this._decodeMetadata(metadata);
+    const content = (metadata.children || [])
+      .map(chunkId => this._decodeChunk(chunks.get(chunkId)))
+      .join('');
+
+    // Binary files ("newnote") are stored as base64 chunks
+    if (metadata.type === 'newnote') {
+      return {
+        path: properties.path,
+        content: null,
+        data: Buffer.from(content, 'base64'),
+        type: 'newnote',
+        ctime: properties.ctime,
+        mtime: properties.mtime,
+        metadata
+      };
+    }
+
+    return {
+      path: properties.path,
+      content,
+      type: metadata.type || 'plain',
+      ctime: properties.ctime,
+      mtime: properties.mtime,
+      metadata
+    };
+  }
+
+  /**
+   * Add the chunks of a document's other revisions to the referenced set
+   * Losing conflict leaves are always read; earlier revisions only with options.history, and
+   * only for documents past their first revision ("1-...").
+   * A revision that can't be read fails the check rather than risk deleting its chunks
+   * @param {Object} doc - Winning revision (from _all_docs with conflicts: true)
+   * @param {Set<string>} referenced - Referenced chunk IDs (added to)
+   * @param {Object} options - { history }
+   */
+  async _addRevisionChunks(doc, referenced, options) {
+    const revs = new Set(doc._conflicts || []);
+    if (options.history && !String(doc._rev).startsWith('1-')) {
+      const current = await this._request('get', doc._id, { revs_info: true });
+      (current._revs_info || [])
+        .filter(info => info.status === 'available' && info.rev !== doc._rev)
+        .forEach(info => revs.add(info.rev));
+    }
+
+    for (const rev of revs) {
+      const revision = await this._request('get', doc._id, { rev });
+      if (Array.isArray(revision.children)) {
+        revision.children.forEach(chunkId => referenced.add(chunkId));
+      }
+    }
+  }
+
+  /**
+   * Record what's needed to verify note sizes against a chunk (without keeping its data)
+   * @param {Object} doc - Chunk document
+   * @param {Object} report - Integrity report (undecodable chunks are added to malformed)
+   * @returns {Object} { rev, bytes, chars, padding } or { rev, unreadable: true }
+   */
+  _measureChunk(doc, report) {
+    try {
+      const data = this._decodeChunk(doc);
+      return {
+        rev: doc._rev,
+        bytes: Buffer.byteLength(data, 'utf8'),
+        chars: data.length,
+        padding: data.match(/=*$/)[0].length
+      };
+    } catch (err) {
+      report.malformed.push({ id: doc._id, path: null, problems: [`chunk cannot be decoded: ${err.message}`] });
+      return { rev: doc._rev, unreadable: true };
+    }
+  }
+
+  /**
+   * Check one note metadata document against the chunks that exist
+   * @param {Object} doc - Metadata document
+   * @param {Map} chunks - Chunk measurements by ID (from _measureChunk)
+   * @param {Object} report - Integrity report to add findings to
+   * @returns {Object|null} { kind, doc } repair to write, or null
+   */
+  _checkNoteDoc(doc, chunks, report) {
+    const problems = [];
+    let properties;
+
+    try {
+      properties = this._decodeMetadata(doc);
+    } catch (err) {
+      report.malformed.push({ id: doc._id, path: null, problems: [`metadata cannot be decoded: ${err.message}`] });
+      return null;
+    }
+
+    const notePath = typeof properties.path === 'string' && properties.path !== '' ? properties.path : null;
+    if (!notePath) {
+      problems.push('missing path');
+    } else if (this._pathToId(notePath) !== doc._id) {
+      problems.push(`ID does not match path ${notePath}`);
+    }
+    if (!Array.isArray(doc.children)) {
+      problems.push('children is not a list');
+    }
+
+    // Fields that can be derived are repaired; anything else is only reported
+    const fixed = { ...properties };
+    let type = doc.type;
+    if (type !== 'plain' && type !== 'newnote') {
+      type = notePath && !isPlainTextPath(notePath) ? 'newnote' : 'plain';
+      problems.push(`invalid type ${JSON.stringify(doc.type)}`);
+    }
+    if (!Number.isFinite(fixed.mtime)) {
+      fixed.mtime = Number.isFinite(fixed.ctime) ? fixed.ctime : Date.now();
+      problems.push('invalid mtime');
+    }
+    if (!Number.isFinite(fixed.ctime)) {
+      fixed.ctime = fixed.mtime;
+      problems.push('invalid ctime');
+    }
+
+    const repairable = notePath !== null && Array.isArray(doc.children) && this._pathToId(notePath) === doc._id;
+    if (problems.length > 0) {
+      report.malformed.push({ id: doc._id, path: notePath, problems, repairable });
+    }
+    if (!Array.isArray(doc.children) || doc.deleted) {
+      return repairable && problems.length > 0 ? this._metadataFix(doc, fixed, type, 'metadata') : null;
+    }
+
+    const missing = doc.children.filter(chunkId => !chunks.has(chunkId) || chunks.get(chunkId).unreadable);
+    if (missing.length > 0) {
+      // Content is gone - nothing to recompute the size from
+      report.missingChunks.push({ id: doc._id, path: notePath, chunks: missing });
+      return repairable && problems.length > 0 ? this._metadataFix(doc, fixed, type, 'metadata') : null;
+    }
+
+    const measured = doc.children.map(chunkId => chunks.get(chunkId));
+    const actual = type === 'newnote'
+      ? Math.floor(measured.reduce((sum, chunk) => sum + chunk.chars, 0) * 3 / 4) -
+        (measured.length > 0 ? measured[measured.length - 1].padding : 0)
+      : measured.reduce((sum, chunk) => sum + chunk.bytes, 0);
+
+    let kind = problems.length > 0 ? 'metadata' : null;
+    if (fixed.size !== actual) {
+      report.badSizes.push({ id: doc._id, path: notePath, recorded: fixed.size, actual });
+      fixed.size = actual;
+      kind = kind || 'sizes';
+    }
+
+    return repairable && kind ? this._metadataFix(doc, fixed, type, kind) : null;
+  }
+
+  /**
+   * Build a repaired metadata document
+   * @param {Object} doc - Current metadata document
+   * @param {Object} properties - Corrected path, ctime, mtime, size
+   * @param {string} type - Corrected type
+   * @param {string} kind - Repair counter to bump ("sizes" or "metadata")
+   * @returns {Object} { kind, doc }
+   */
+  _metadataFix(doc, properties, type, kind) {
+    return { kind, doc: { ...doc, ...this._encodeMetadata(properties), type } };
+  }
+
+  /**
+   * Move a note in one _bulk_docs request: the new metadata doc points at the
+   * existing chunks and keeps ctime, and the old doc is soft-deleted
+   * @param {Object} note - Note being moved (from readNote)
+   * @param {string} to - New note path
+   * @param {string} content - Content for the new path
+   * @returns {Promise<Object>} Result with ok, id, rev
+   */
+  async _moveNote(note, to, content) {
+    const now = Date.now();
+    const fromId = this._pathToId(note.path);
+    const toId = this._pathToId(to);
+
+    let children = note.metadata.children;
+    let size = note.data ? note.data.length : Buffer.byteLength(note.content, 'utf8');
+    let chunkDocs = [];
+
+    if (content !== note.content) {
+      const safeContent = this.sanitize ? sanitizeUnicode(content) : content;
+      const chunks = this._createChunks(safeContent, this.chunkSize)
+        .map(data => ({ id: this._createChunkId(data), data }));
+      chunkDocs = await this._missingChunkDocs(chunks);
+      children = chunks.map(chunk => chunk.id);
+      size = Buffer.byteLength(safeContent, 'utf8');
+    }
+
+    // A soft-deleted doc may already sit at the target ID - overwrite its revision
+    let targetRev = note.metadata._rev;
+    if (toId !== fromId) {
+      const [target] = (await this._request('fetch', { keys: [toId] })).rows;
+      targetRev = target && target.doc ? target.doc._rev : undefined;
+    }
+
+    const type = note.metadata.type || 'plain';
+    const docs = [...chunkDocs, {
+      _id: toId,
+      ...(targetRev && { _rev: targetRev }),
+      children,
+      ...this._encodeMetadata({ path: to, ctime: note.ctime, mtime: now, size }),
+      type,
+      eden: {}
+    }];
+
+    if (toId !== fromId) {
+      docs.push({
+        _id: fromId,
+        _rev: note.metadata._rev,
+        children: [],
+        ...this._encodeMetadata({ path: note.path, ctime: note.ctime, mtime: now, size: 0 }),
+        type,
+        deleted: true,
+        eden: {}
+      });
+    }
+
+    const results = await this._request('bulk', { docs });
+    const [moved, removed] = results.slice(chunkDocs.length);
+
+    if (moved.error) {
+      const err = new Error(`Failed to move ${note.path} to ${to}: ${moved.error} (${moved.reason})`);
+      err.statusCode = moved.error === 'conflict' ? 409 : 500;
+      throw err;
+    }
+
+    // Someone edited the source mid-move: keep their edit rather than deleting it
+    if (removed && removed.error) {
+      console.warn(`⚠️  ${note.path} changed during move, left in place: ${removed.error}`);
+      return { ok: true, id: moved.id, rev: moved.rev, sourceKept: true };
+    }
+
+    return { ok: true, id: moved.id, rev: moved.rev };
+  }
+
+  /**
+   * Build chunk docs for chunks that aren't stored yet (content-addressable)
+   * @param {Array<Object>} chunks - [{ id, data }]
+   * @returns {Promise<Array<Object>>} Chunk docs to write
+   */
+  async _missingChunkDocs(chunks) {
+    const allChunks = new Map(chunks.map(chunk => [chunk.id, chunk.data]));
+    if (allChunks.size === 0) return [];
+
+    const chunkResult = await this._request('list', { keys: [...allChunks.keys()] });
+    const existingChunks = new Set(
+      chunkResult.rows.filter(row => !row.error && !(row.value && row.value.deleted)).map(row => row.id)
+    );
+
+    return [...allChunks.entries()]
+      .filter(([chunkId]) => !existingChunks.has(chunkId))
+      .map(([chunkId, data]) => this._encodeChunk(chunkId, data));
+  }
+
   _pathToId(path) {
     // LiveSync stores paths as lowercase IDs (case-insensitive filesystems)
     // and prepends "/" if it starts with "_"
@@ -398,19 +923,103 @@ class VaultClient {
     if (id.startsWith('_')) {
       id = '/' + id;
     }
+    if (this.obfuscatePaths) {
+      id = e2ee.obfuscatePath(id, this.passphrase);
+    }
     return id;
   }
 
+  async _conflictPath(path) {
+    const [, base, extension = ''] = path.match(/^(.*?)(\.[^./]*)?$/);
+    let candidate = `${base}.conflict${extension}`;
+    
+    for (let counter = 2; await this.readNote(candidate); counter++) {
+      if (counter > 100) {
+        throw new Error(`Too many conflict copies for ${path}`);
+      }
+      candidate = `${base}.conflict-${counter}${extension}`;
+    }
+    return candidate;
+  }
+
+  _requirePassphrase() {
+    if (!this.passphrase) {
+      throw new Error('Note is encrypted - set couchdb.passphrase in config.json');
+    }
+  }
+
+  _decodeMetadata(doc) {
+    // Obfuscated vaults keep path, ctime, mtime and size encrypted in `path`
+    if (e2ee.isEncryptedMetadata(doc.path)) {
+      this._requirePassphrase();
+      return e2ee.decryptMetadata(doc.path, this.passphrase);
+    }
+    return { path: doc.path, ctime: doc.ctime, mtime: doc.mtime, size: doc.size };
+  }
+
+  _encodeMetadata(properties) {
+    if (!this.obfuscatePaths) {
+      return properties;
+    }
+    return {
+      path: e2ee.encryptMetadata(properties, this.passphrase, this._salt),
+      ctime: 0,
+      mtime: 0,
+      size: 0
+    };
+  }
+
+  _decodeChunk(chunk) {
+    if (chunk.e_) {
+      this._requirePassphrase();
+      return e2ee.decrypt(chunk.data || '', this.passphrase);
+    }
+    return chunk.data || '';
+  }
+
+  _encodeChunk(chunkId, chunkData) {
+    if (!this.passphrase) {
+      return { _id: chunkId, type: 'leaf', data: chunkData };
+    }
+    return {
+      _id: chunkId,
+      type: 'leaf',
+      data: e2ee.encrypt(chunkData, this.passphrase, this._salt),
+      e_: true
+    };
+  }
+
   _createChunks(content, chunkSize = 50000) {
+    // Split on UTF-8 byte length like LiveSync does, never inside a
+    // multibyte character or surrogate pair (iterating by code point)
     const chunks = [];
-    for (let i = 0; i < content.length; i += chunkSize) {
-      chunks.push(content.slice(i, i + chunkSize));
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of content) {
+      const charBytes = Buffer.byteLength(char, 'utf8');
+      if (currentBytes + charBytes > chunkSize && current !== '') {
+        chunks.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+
+    if (current !== '') {
+      chunks.push(current);
     }
     return chunks.length > 0 ? chunks : [''];
   }
 
   _createChunkId(data) {
     // LiveSync uses a simple hash for chunk IDs
+    // Encrypted vaults mix in the passphrase so IDs don't leak plain content
+    if (this.passphrase) {
+      const hash = crypto.createHash('sha256').update(this.passphrase + data).digest('hex');
+      return `h:+${hash.substring(0, 12)}`;
+    }
     const hash = crypto.createHash('sha256').update(data).digest('hex');
     // Use a shorter hash similar to LiveSync format
     const shortHash = hash.substring(0, 12);
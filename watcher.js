@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Watcher - Live inbox processing from the CouchDB _changes feed
+ * Queues new or edited inbox notes and processes them after a quiet period
+ */
+
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { createVaultClient } = require('./vault-backend');
+const { processInbox } = require('./processor');
+const { withRetry } = require('./retry');
+const loadConfig = require('./config');
+
+class InboxWatcher extends EventEmitter {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {Object} options.config - Configuration (default: loadConfig())
+   * @param {VaultClient} options.vaultClient - Vault client (default: from config)
+   * @param {Function} options.process - Handler for queued paths (default: processInbox)
+   */
+  constructor(options = {}) {
+    super();
+    this.config = options.config || loadConfig();
+    this.vaultClient = options.vaultClient || createVaultClient(this.config);
+    this.process = options.process || (paths => processInbox({ paths, limit: paths.length }));
+
+    this.inboxPath = this.config.inbox.path;
+    this.reviewQueuePath = this.config.filer.reviewQueuePath;
+    this.debounceMs = this.config.watcher.debounceMs;
+    this.statePath = this.config.watcher.statePath;
+    this.retryPolicy = {
+      retries: this.config.watcher.retries,
+      baseDelayMs: this.config.watcher.retryBaseDelayMs,
+      maxDelayMs: this.config.watcher.retryMaxDelayMs,
+      isRetryable: () => true,
+      onRetry: (err, attempt, delayMs) => this.emit('retry', err, attempt, delayMs)
+    };
+
+    this.timers = new Map();
+    this.retryTimer = null;
+    this.queue = new Set();
+    this.running = false;
+    this.feed = null;
+    this.lastSeq = null;
+  }
+
+  /**
+   * Start following the changes feed from the persisted sequence
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const state = await this.loadState();
+    console.log(`👀 Watching ${this.inboxPath} (since: ${state.since})`);
+
+    this.feed = this.vaultClient.watchChanges({ since: state.since });
+    this.feed.on('note', change => this.handleChange(change));
+    this.feed.on('seq', seq => {
+      this.lastSeq = seq;
+      // A batch's changes are emitted before its sequence, so they are already waiting
+      // here: nothing pending means the sequence is fully handled
+      if (this.isIdle()) {
+        this.saveState().catch(err => this.emit('error', err));
+      }
+    });
+    this.feed.on('error', err => this.emit('error', err));
+  }
+
+  /**
+   * Stop following the feed and cancel pending debounce and retry timers
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.feed) {
+      this.feed.stop();
+      this.feed = null;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Handle a note change from the feed (debounced per path)
+   * @param {Object} change - { path, deleted, seq }
+   */
+  handleChange(change) {
+    if (change.deleted || !this.isInboxNote(change.path)) {
+      return;
+    }
+
+    // Restart the quiet period on every edit so we don't process half-typed notes
+    clearTimeout(this.timers.get(change.path));
+    this.timers.set(change.path, setTimeout(() => {
+      this.timers.delete(change.path);
+      this.queue.add(change.path);
+      this.emit('queued', change.path);
+      this.drain().catch(err => this.emit('error', err));
+    }, this.debounceMs));
+  }
+
+  /**
+   * Check whether a path is an inbox note the processor should see
+   * @param {string} notePath - Note path
+   * @returns {boolean} True for markdown notes in the inbox (excluding the review queue)
+   */
+  isInboxNote(notePath) {
+    return notePath.startsWith(this.inboxPath) &&
+      !notePath.startsWith(this.reviewQueuePath) &&
+      notePath.endsWith('.md');
+  }
+
+  /**
+   * Process queued notes, one batch at a time
+   * A failing batch is retried with backoff (watcher.retries). If it still fails it goes
+   * back on the queue, so the sequence isn't saved past it, and another drain is
+   * scheduled after watcher.retryMaxDelayMs
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    try {
+      while (this.queue.size > 0) {
+        const paths = [...this.queue];
+        this.queue.clear();
+
+        let results;
+        try {
+          results = await withRetry(() => this.process(paths), this.retryPolicy);
+        } catch (err) {
+          paths.forEach(notePath => this.queue.add(notePath));
+          this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.drain().catch(retryErr => this.emit('error', retryErr));
+          }, this.retryPolicy.maxDelayMs);
+          throw err;
+        }
+        this.emit('processed', results);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (this.isIdle()) {
+      await this.saveState();
+    }
+  }
+
+  /**
+   * @returns {boolean} True when no changes are waiting or being processed
+   */
+  isIdle() {
+    return this.timers.size === 0 && this.queue.size === 0 && !this.running;
+  }
+
+  /**
+   * Load persisted watcher state
+   * @returns {Promise<Object>} State with since sequence
+   */
+  async loadState() {
+    try {
+      const raw = await fs.readFile(this.statePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return { since: 'now', version: 1 };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Persist the last fully handled sequence so a restart resumes from it
+   * @returns {Promise<void>}
+   */
+  async saveState() {
+    if (this.lastSeq === null) return;
+
+    const state = { since: this.lastSeq, updated: new Date().toISOString(), version: 1 };
+    await fs.writeFile(this.statePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+}
+
+/**
+ * Main entry point when called directly
+ */
+async function main() {
+  const watcher = new InboxWatcher();
+
+  watcher.on('queued', notePath => console.log(`📥 Queued: ${notePath}`));
+  watcher.on('error', err => console.error('⚠️  Watcher error:', err.message));
+  watcher.on('retry', (err, attempt, delayMs) => {
+    console.warn(`⚠️  Processing failed (${err.message}), retry ${attempt} in ${delayMs}ms`);
+  });
+  watcher.on('processed', results => {
+    console.log(`✅ Processed: ${results.processed}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
+  });
+
+  process.on('SIGINT', async () => {
+    console.log('\n👋 Stopping watcher...');
+    await watcher.stop();
+    process.exit(0);
+  });
+
+  await watcher.start();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { InboxWatcher };
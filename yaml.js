@@ -0,0 +1,853 @@
+/**
+ * YAML - Frontmatter parser and serializer
+ * Covers the YAML that Obsidian properties use (block and flow collections, quoted,
+ * multi-line and block scalars, comments). Properties a caller doesn't change are
+ * written back exactly as they were read, comments included.
+ */
+
+// Original text of each top-level key, attached to parsed objects
+const SOURCE = Symbol('yamlSource');
+
+/**
+ * Parse a YAML mapping (e.g. frontmatter between the --- lines)
+ * Timestamps stay strings so they round-trip exactly as written
+ * @param {string} text - YAML text
+ * @returns {Object} Parsed mapping (key order preserved)
+ */
+function parseYaml(text) {
+  const lines = text === '' ? [] : text.split('\n').map(line => line.replace(/\r$/, ''));
+  const parser = new Parser(lines);
+  const entries = new Map();
+  let previousEnd = 0;
+  let header = [];
+
+  const result = parser.parseMapping(0, (key, start, end, value) => {
+    // Comments above the first key stay at the top even if that key is removed
+    const leading = lines.slice(previousEnd, start);
+    if (previousEnd === 0) {
+      header = leading;
+    }
+    entries.set(key, {
+      leading: previousEnd === 0 ? [] : leading,
+      lines: lines.slice(start, end),
+      snapshot: JSON.stringify(value)
+    });
+    previousEnd = end;
+  });
+
+  Object.defineProperty(result, SOURCE, {
+    value: {
+      header,
+      entries,
+      trailing: lines.slice(previousEnd)
+    },
+    enumerable: true, // so { ...frontmatter } keeps it
+    writable: true,
+    configurable: true
+  });
+
+  return result;
+}
+
+/**
+ * Serialize a mapping to YAML
+ * Keys read by parseYaml whose value is unchanged keep their original lines
+ * @param {Object} data - Mapping to serialize
+ * @returns {string} YAML text (no --- delimiters)
+ */
+function stringifyYaml(data) {
+  const source = data[SOURCE];
+  const lines = source ? [...source.header] : [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    const entry = source && source.entries.get(key);
+    if (entry) {
+      lines.push(...entry.leading);
+      if (JSON.stringify(value) === entry.snapshot) {
+        lines.push(...entry.lines);
+        continue;
+      }
+    }
+
+    writeField(lines, key, value, 0);
+  }
+
+  if (source) {
+    lines.push(...source.trailing);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Carry the original YAML text of one parsed mapping over to another object
+ * (e.g. a merged copy), so unchanged keys still round-trip verbatim
+ * @param {Object} target - Object to serialize later
+ * @param {Object} source - Object returned by parseYaml
+ * @returns {Object} target
+ */
+function withYamlSource(target, source) {
+  if (source && source[SOURCE]) {
+    Object.defineProperty(target, SOURCE, {
+      value: source[SOURCE],
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  }
+  return target;
+}
+
+/**
+ * Line-based recursive-descent parser for block YAML
+ */
+class Parser {
+  /**
+   * @param {Array<string>} lines - YAML lines
+   */
+  constructor(lines) {
+    this.lines = [...lines];
+    this.pos = 0;
+  }
+
+  /**
+   * Find the next line with content (skipping blank and comment lines)
+   * @returns {number} Line index (lines.length at the end)
+   */
+  peek() {
+    let i = this.pos;
+    while (i < this.lines.length && /^\s*(#.*)?$/.test(this.lines[i])) {
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Parse a block mapping whose keys sit at the given indentation
+   * @param {number} indent - Key indentation
+   * @param {Function} onEntry - Called with (key, startLine, endLine, value) per key
+   * @returns {Object} Mapping
+   */
+  parseMapping(indent, onEntry = null) {
+    const map = {};
+
+    while (true) {
+      const next = this.peek();
+      if (next >= this.lines.length) break;
+
+      const line = this.lines[next];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+
+      const content = line.slice(lineIndent);
+      if (lineIndent === indent && isSequenceItem(content)) break;
+
+      const key = lineIndent === indent ? matchKey(content) : null;
+      if (!key) {
+        // Not valid here - skip it rather than lose the rest of the frontmatter
+        this.pos = next + 1;
+        continue;
+      }
+
+      this.pos = next + 1;
+      const value = this.parseValue(key.rest, indent, true);
+      map[key.key] = value;
+
+      if (onEntry) {
+        onEntry(key.key, next, this.pos, value);
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Parse a block sequence whose dashes sit at the given indentation
+   * @param {number} indent - Dash indentation
+   * @returns {Array} Sequence
+   */
+  parseSequence(indent) {
+    const items = [];
+
+    while (true) {
+      const next = this.peek();
+      if (next >= this.lines.length) break;
+
+      const line = this.lines[next];
+      const content = line.slice(indent);
+      if (indentOf(line) !== indent || !isSequenceItem(content)) break;
+
+      const after = content.slice(1);
+      const gap = after.match(/^\s*/)[0].length;
+      const itemContent = after.slice(gap);
+      const itemIndent = indent + 1 + gap;
+
+      if (itemContent === '' || itemContent.startsWith('#')) {
+        this.pos = next + 1;
+        items.push(this.parseValue('', indent, false));
+      } else if (isSequenceItem(itemContent) || matchKey(itemContent)) {
+        // Blank out the dash so the item parses as a node at its own column
+        this.lines[next] = ' '.repeat(itemIndent) + itemContent;
+        items.push(this.parseBlockNode(itemIndent));
+      } else {
+        this.pos = next + 1;
+        items.push(this.parseValue(itemContent, indent, false));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse the node starting on the next content line
+   * @param {number} indent - Indentation of that line
+   * @returns {*} Parsed value
+   */
+  parseBlockNode(indent) {
+    const next = this.peek();
+    const content = this.lines[next].slice(indent);
+
+    if (isSequenceItem(content)) return this.parseSequence(indent);
+    if (matchKey(content)) return this.parseMapping(indent);
+
+    this.pos = next + 1;
+    return this.parseValue(content, indent - 1, false);
+  }
+
+  /**
+   * Parse a value that starts after "key:" or "- " on the previous line
+   * @param {string} rest - Remainder of the line
+   * @param {number} parentIndent - Indentation of the key or dash
+   * @param {boolean} inMapping - Whether a same-indent "- " list may follow (key: then list)
+   * @returns {*} Parsed value
+   */
+  parseValue(rest, parentIndent, inMapping) {
+    const text = rest.replace(/^\s+/, '');
+
+    if (text === '' || text.startsWith('#')) {
+      const next = this.peek();
+      if (next < this.lines.length) {
+        const lineIndent = indentOf(this.lines[next]);
+        const content = this.lines[next].slice(lineIndent);
+        if (lineIndent > parentIndent) return this.parseBlockNode(lineIndent);
+        if (inMapping && lineIndent === parentIndent && isSequenceItem(content)) {
+          return this.parseSequence(lineIndent);
+        }
+      }
+      return null;
+    }
+
+    if (text[0] === '|' || text[0] === '>') return this.parseBlockScalar(text, parentIndent);
+    if (text[0] === '[' || text[0] === '{') return this.parseFlow(text, parentIndent);
+    if (text[0] === '"' || text[0] === "'") return this.parseQuoted(text);
+    return this.parsePlain(text, parentIndent);
+  }
+
+  /**
+   * Parse a plain (unquoted) scalar, folding indented continuation lines
+   * @param {string} text - First line of the scalar
+   * @param {number} parentIndent - Continuation lines must be indented further
+   * @returns {*} Resolved scalar (string, number, boolean or null)
+   */
+  parsePlain(text, parentIndent) {
+    const parts = [stripComment(text)];
+    let blankLines = 0;
+
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.trim() === '') {
+        blankLines++;
+        this.pos++;
+        continue;
+      }
+      if (indentOf(line) <= parentIndent || line.trim().startsWith('#')) break;
+
+      parts.push(blankLines > 0 ? '\n'.repeat(blankLines) : ' ');
+      parts.push(stripComment(line.trim()));
+      blankLines = 0;
+      this.pos++;
+    }
+
+    // Blank lines after the scalar belong to whatever comes next
+    this.pos -= blankLines;
+
+    return resolvePlain(parts.join('').trim());
+  }
+
+  /**
+   * Parse a single- or double-quoted scalar (may span lines)
+   * @param {string} text - First line, starting at the quote
+   * @returns {string} Unquoted string
+   */
+  parseQuoted(text) {
+    let raw = text;
+    let parsed = readQuoted(raw, 0);
+
+    while (!parsed && this.pos < this.lines.length) {
+      raw += '\n' + this.lines[this.pos++];
+      parsed = readQuoted(raw, 0);
+    }
+
+    return parsed ? parsed.value : text;
+  }
+
+  /**
+   * Parse a flow collection ([a, b] or {a: 1}), which may span lines
+   * @param {string} text - First line, starting at the bracket
+   * @param {number} parentIndent - Indentation of the owning key
+   * @returns {*} Parsed collection (or the raw text if unbalanced)
+   */
+  parseFlow(text, parentIndent) {
+    const start = this.pos;
+    let raw = text;
+
+    while (!isBalanced(raw) && this.pos < this.lines.length && indentOf(this.lines[this.pos]) > parentIndent) {
+      raw += '\n' + this.lines[this.pos++];
+    }
+
+    try {
+      const reader = new FlowReader(raw);
+      return reader.parseDocument();
+    } catch (err) {
+      // Not really a flow collection (e.g. "[draft] notes") - keep it as text
+      this.pos = start;
+      return this.parsePlain(text, parentIndent);
+    }
+  }
+
+  /**
+   * Parse a literal (|) or folded (>) block scalar
+   * @param {string} header - Header text (e.g. "|-", ">+2 # comment")
+   * @param {number} parentIndent - Indentation of the owning key
+   * @returns {string} Block content
+   */
+  parseBlockScalar(header, parentIndent) {
+    const match = header.match(/^([|>])([+-]?)(\d?)([+-]?)/);
+    const style = match[1];
+    const chomp = match[2] || match[4];
+    const explicit = match[3] ? parentIndent + Number(match[3]) : null;
+
+    // Content indentation comes from the indicator or the first non-blank line
+    let contentIndent = explicit;
+    if (contentIndent === null) {
+      for (let i = this.pos; i < this.lines.length; i++) {
+        if (this.lines[i].trim() !== '') {
+          contentIndent = indentOf(this.lines[i]);
+          break;
+        }
+      }
+    }
+
+    const body = [];
+    if (contentIndent !== null && contentIndent > parentIndent) {
+      while (this.pos < this.lines.length) {
+        const line = this.lines[this.pos];
+        if (line.trim() !== '' && indentOf(line) < contentIndent) break;
+        body.push(line.slice(contentIndent));
+        this.pos++;
+      }
+    }
+
+    // Trailing blank lines only belong to the scalar when kept (+)
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1].trim() === '') {
+      body.pop();
+      trailing++;
+    }
+    if (chomp !== '+') {
+      this.pos -= trailing;
+    }
+
+    let text = style === '|' ? body.join('\n') : foldLines(body);
+    if (body.length > 0 && chomp !== '-') text += '\n';
+    if (chomp === '+') text += '\n'.repeat(trailing);
+    return text;
+  }
+}
+
+/**
+ * Character-level reader for flow collections
+ */
+class FlowReader {
+  /**
+   * @param {string} text - Flow text
+   */
+  constructor(text) {
+    this.text = text;
+    this.i = 0;
+  }
+
+  /**
+   * Parse the whole text as one flow node
+   * @returns {*} Parsed value
+   */
+  parseDocument() {
+    const value = this.parseNode();
+    this.skipSpace();
+    if (this.i < this.text.length) {
+      throw new Error(`Unexpected "${this.text[this.i]}" in flow collection`);
+    }
+    return value;
+  }
+
+  skipSpace() {
+    while (this.i < this.text.length) {
+      const char = this.text[this.i];
+      if (char === '#' && /\s/.test(this.text[this.i - 1] || ' ')) {
+        while (this.i < this.text.length && this.text[this.i] !== '\n') this.i++;
+      } else if (/\s/.test(char)) {
+        this.i++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseNode() {
+    this.skipSpace();
+    const char = this.text[this.i];
+
+    if (char === '[') return this.parseSequence();
+    if (char === '{') return this.parseMapping();
+    if (char === '"' || char === "'") {
+      const quoted = readQuoted(this.text, this.i);
+      if (!quoted) throw new Error('Unterminated string in flow collection');
+      this.i = quoted.end;
+      return quoted.value;
+    }
+    return resolvePlain(this.readPlain(false));
+  }
+
+  parseSequence() {
+    const items = [];
+    this.i++;
+
+    while (true) {
+      this.skipSpace();
+      if (this.text[this.i] === ']') {
+        this.i++;
+        return items;
+      }
+      items.push(this.parseNode());
+      this.skipSpace();
+
+      if (this.text[this.i] === ',') {
+        this.i++;
+      } else if (this.text[this.i] !== ']') {
+        throw new Error('Expected , or ] in flow sequence');
+      }
+    }
+  }
+
+  parseMapping() {
+    const map = {};
+    this.i++;
+
+    while (true) {
+      this.skipSpace();
+      if (this.text[this.i] === '}') {
+        this.i++;
+        return map;
+      }
+
+      let key;
+      if (this.text[this.i] === '"' || this.text[this.i] === "'") {
+        const quoted = readQuoted(this.text, this.i);
+        if (!quoted) throw new Error('Unterminated key in flow mapping');
+        key = quoted.value;
+        this.i = quoted.end;
+      } else {
+        key = this.readPlain(true);
+      }
+
+      this.skipSpace();
+      if (this.text[this.i] === ':') {
+        this.i++;
+        map[key] = this.parseNode();
+      } else {
+        map[key] = null;
+      }
+      this.skipSpace();
+
+      if (this.text[this.i] === ',') {
+        this.i++;
+      } else if (this.text[this.i] !== '}') {
+        throw new Error('Expected , or } in flow mapping');
+      }
+    }
+  }
+
+  readPlain(isKey) {
+    const start = this.i;
+    while (this.i < this.text.length) {
+      const char = this.text[this.i];
+      if (',[]{}'.includes(char)) break;
+      if (char === ':' && (isKey || /[\s,\]}]/.test(this.text[this.i + 1] || ' '))) break;
+      if (char === '#' && /\s/.test(this.text[this.i - 1] || '')) break;
+      this.i++;
+    }
+    return this.text.slice(start, this.i).trim().replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+/**
+ * Read a quoted scalar starting at text[start]
+ * Line breaks inside the quotes fold to spaces (blank lines to newlines)
+ * @param {string} text - Text containing the scalar
+ * @param {number} start - Index of the opening quote
+ * @returns {Object|null} { value, end } or null if the closing quote is missing
+ */
+function readQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quote === "'" && char === "'") {
+      if (text[i + 1] === "'") {
+        value += "'";
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+
+    if (quote === '"' && char === '"') {
+      return { value, end: i + 1 };
+    }
+
+    if (quote === '"' && char === '\\') {
+      const escape = text[i + 1];
+      if (escape === '\n') {
+        // Escaped line break: join without a space
+        i += 2;
+        while (text[i] === ' ' || text[i] === '\t') i++;
+        continue;
+      }
+      const decoded = decodeEscape(text, i + 1);
+      value += decoded.value;
+      i = decoded.end;
+      continue;
+    }
+
+    if (char === '\n') {
+      value = value.replace(/[ \t]+$/, '');
+      let breaks = 0;
+      while (text[i] === '\n') {
+        breaks++;
+        i++;
+        while (text[i] === ' ' || text[i] === '\t') i++;
+      }
+      value += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+      continue;
+    }
+
+    value += char;
+    i++;
+  }
+
+  return null;
+}
+
+const SIMPLE_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+  e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+/**
+ * Decode a double-quoted escape sequence
+ * @param {string} text - Text containing the escape
+ * @param {number} i - Index just after the backslash
+ * @returns {Object} { value, end }
+ */
+function decodeEscape(text, i) {
+  const char = text[i];
+  if (char in SIMPLE_ESCAPES) {
+    return { value: SIMPLE_ESCAPES[char], end: i + 1 };
+  }
+
+  const length = { x: 2, u: 4, U: 8 }[char];
+  const hex = length ? text.slice(i + 1, i + 1 + length) : '';
+  if (length && /^[0-9a-fA-F]+$/.test(hex) && hex.length === length) {
+    return { value: String.fromCodePoint(parseInt(hex, 16)), end: i + 1 + length };
+  }
+
+  // Unknown escape - keep it literally
+  return { value: '\\' + (char || ''), end: i + 1 };
+}
+
+/**
+ * Fold block scalar lines (">" style): single breaks become spaces,
+ * blank lines and more-indented lines keep their line breaks
+ * @param {Array<string>} lines - Content lines (indentation removed)
+ * @returns {string} Folded text
+ */
+function foldLines(lines) {
+  let text = '';
+  let breaks = 0;
+  let started = false;
+  let previousIndented = false;
+
+  for (const line of lines) {
+    if (line === '') {
+      breaks++;
+      continue;
+    }
+
+    const indented = /^[ \t]/.test(line);
+    if (!started) {
+      text += '\n'.repeat(breaks);
+      started = true;
+    } else if (indented || previousIndented) {
+      text += '\n'.repeat(breaks + 1);
+    } else {
+      text += breaks === 0 ? ' ' : '\n'.repeat(breaks);
+    }
+
+    text += line;
+    breaks = 0;
+    previousIndented = indented;
+  }
+
+  return text;
+}
+
+/**
+ * Resolve a plain scalar to null, boolean, number or string (YAML 1.2 core schema)
+ * @param {string} text - Plain scalar text
+ * @returns {*} Resolved value
+ */
+function resolvePlain(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+
+  if (/^[-+]?[0-9]+$/.test(text)) {
+    const number = Number(text);
+    // Keep IDs that don't fit in a double as text
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+
+  return text;
+}
+
+/**
+ * Match a "key: value" line
+ * @param {string} content - Line content without indentation
+ * @returns {Object|null} { key, rest } or null
+ */
+function matchKey(content) {
+  if (content[0] === '"' || content[0] === "'") {
+    const quoted = readQuoted(content, 0);
+    if (!quoted) return null;
+    const after = content.slice(quoted.end).match(/^\s*:(\s.*|$)/);
+    return after ? { key: quoted.value, rest: after[1] } : null;
+  }
+
+  const match = content.match(/^([^\s\-?:,[\]{}#&*!|>'"%@`][^]*?|[-?:][^\s][^]*?)\s*:(\s.*|$)/);
+  return match ? { key: match[1], rest: match[2] } : null;
+}
+
+/**
+ * Write one mapping entry
+ * @param {Array<string>} lines - Output lines
+ * @param {string} key - Key
+ * @param {*} value - Value
+ * @param {number} indent - Nesting level
+ */
+function writeField(lines, key, value, indent) {
+  const pad = '  '.repeat(indent);
+  const prefix = `${pad}${formatKey(key)}:`;
+
+  if (value instanceof Date) {
+    value = value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) {
+      lines.push(`${prefix} [${value.map(formatFlowScalar).join(', ')}]`);
+    } else {
+      lines.push(prefix);
+      writeSequence(lines, value, indent + 1);
+    }
+  } else if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, subValue]) => subValue !== undefined);
+    if (entries.length === 0) {
+      lines.push(`${prefix} {}`);
+    } else {
+      lines.push(prefix);
+      for (const [subKey, subValue] of entries) {
+        writeField(lines, subKey, subValue, indent + 1);
+      }
+    }
+  } else if (value === null) {
+    lines.push(prefix);
+  } else if (typeof value === 'string' && isBlockSafe(value)) {
+    writeBlockString(lines, prefix, value, indent + 1);
+  } else {
+    lines.push(`${prefix} ${formatScalar(value)}`);
+  }
+}
+
+/**
+ * Write a block sequence ("- item" lines)
+ * @param {Array<string>} lines - Output lines
+ * @param {Array} items - Items
+ * @param {number} indent - Nesting level of the dashes
+ */
+function writeSequence(lines, items, indent) {
+  const pad = '  '.repeat(indent);
+
+  for (let item of items) {
+    if (item instanceof Date) {
+      item = item.toISOString();
+    }
+
+    if (Array.isArray(item) && item.every(isScalar)) {
+      lines.push(`${pad}- [${item.map(formatFlowScalar).join(', ')}]`);
+    } else if (Array.isArray(item)) {
+      const nested = [];
+      writeSequence(nested, item, indent + 1);
+      lines.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+    } else if (item !== null && typeof item === 'object') {
+      const nested = [];
+      for (const [key, value] of Object.entries(item)) {
+        if (value !== undefined) writeField(nested, key, value, indent + 1);
+      }
+      if (nested.length === 0) {
+        lines.push(`${pad}- {}`);
+      } else {
+        lines.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+      }
+    } else {
+      lines.push(`${pad}- ${formatScalar(item)}`);
+    }
+  }
+}
+
+/**
+ * Write a multi-line string as a literal block scalar
+ * @param {Array<string>} lines - Output lines
+ * @param {string} prefix - "key:" text
+ * @param {string} value - Multi-line string
+ * @param {number} indent - Nesting level of the content
+ */
+function writeBlockString(lines, prefix, value, indent) {
+  const pad = '  '.repeat(indent);
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const content = trailing === 0 ? value : value.slice(0, -1);
+
+  lines.push(`${prefix} |${chomp}`);
+  for (const line of content.split('\n')) {
+    lines.push(line === '' ? '' : pad + line);
+  }
+}
+
+function isScalar(value) {
+  return value === null || value instanceof Date || typeof value !== 'object';
+}
+
+// Literal blocks can't start with spaces (without an indentation indicator) or hold
+// characters that need escapes
+function isBlockSafe(value) {
+  return value.includes('\n') &&
+    !/^[ \t]/.test(value) &&
+    !/^\n*$/.test(value) &&
+    !/[\x00-\x08\x0b-\x1f\x7f\r]/.test(value);
+}
+
+function formatKey(key) {
+  return isPlainSafe(key) ? key : JSON.stringify(key);
+}
+
+function formatScalar(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // JSON strings are valid double-quoted YAML
+  return isPlainSafe(text) ? text : JSON.stringify(text);
+}
+
+function formatFlowScalar(value) {
+  const text = formatScalar(value);
+  // Quote anything a reader could split or mistake for a key (spaces, commas, colons)
+  return typeof value === 'string' && /[\s,:#[\]{}]/.test(text) && !text.startsWith('"')
+    ? JSON.stringify(value)
+    : text;
+}
+
+/**
+ * Check whether a string can be written without quotes and read back unchanged
+ * @param {string} text - String value
+ * @returns {boolean} True if safe as a plain scalar
+ */
+function isPlainSafe(text) {
+  if (text === '' || text !== text.trim()) return false;
+  if (resolvePlain(text) !== text) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+  return !/:(\s|$)|\s#|[\x00-\x1f\x7f]/.test(text);
+}
+
+function isSequenceItem(content) {
+  return /^-(\s|$)/.test(content);
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function stripComment(text) {
+  const index = text.search(/\s#/);
+  return (index === -1 ? text : text.slice(0, index)).trim();
+}
+
+/**
+ * Check whether flow brackets in text are balanced (ignoring quoted text)
+ * @param {string} text - Flow text
+ * @returns {boolean} True if every [ and { is closed
+ */
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  let previous = '[';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && '[{,:'.includes(previous)) {
+      // Only a quote that starts a scalar opens a string (not "don't")
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+    if (!/\s/.test(char)) previous = char;
+  }
+
+  return depth <= 0 && !quote;
+}
+
+module.exports = {
+  parseYaml,
+  stringifyYaml,
+  withYamlSource
+};